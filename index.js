@@ -6,6 +6,11 @@ const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 
 const admin = require('firebase-admin');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
 const port = process.env.PORT || 3000;
 
@@ -28,7 +33,865 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// keep raw body for stripe webhook signature check
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// stripe presentment currencies a class can be sold in
+// decimals: digits of the minor unit (jpy has none), min: stripe minimum charge
+const currencies = {
+  usd: { decimals: 2, min: 0.5 },
+  eur: { decimals: 2, min: 0.5 },
+  gbp: { decimals: 2, min: 0.3 },
+  cad: { decimals: 2, min: 0.5 },
+  aud: { decimals: 2, min: 0.5 },
+  sgd: { decimals: 2, min: 0.5 },
+  inr: { decimals: 2, min: 0.5 },
+  jpy: { decimals: 0, min: 50 },
+};
+const currencyCodes = Object.keys(currencies);
+const defaultCurrency = 'usd';
+const currencyDecimals = (currency) => currencies[currency]?.decimals ?? 2;
+
+// 12.34 usd <-> 1234, 1234 jpy <-> 1234 (stripe amounts are minor units)
+const toMinorUnit = (amount, currency) =>
+  Math.round(Number(amount) * 10 ** currencyDecimals(currency));
+const fromMinorUnit = (amount, currency) =>
+  amount / 10 ** currencyDecimals(currency);
+const roundMoney = (amount, currency) =>
+  fromMinorUnit(toMinorUnit(amount, currency), currency);
+
+// price in the buyer's region (ISO country code) if the class has one
+// localPrices: [{ region: 'IN', currency: 'inr', price: 499 }]
+const getClassPrice = (classData, region) => {
+  const local =
+    region &&
+    (classData.localPrices || []).find(
+      (item) => item.region === String(region).toUpperCase()
+    );
+  return local
+    ? { price: local.price, currency: local.currency, region: local.region }
+    : {
+        price: Number(classData.price),
+        currency: classData.currency || defaultCurrency,
+        region: null,
+      };
+};
+
+// country header set by the host this server runs behind (e.g. cf-ipcountry
+// on cloudflare), any other one can be sent by the client itself
+const regionHeader = (
+  process.env.REGION_HEADER || 'x-vercel-ip-country'
+).toLowerCase();
+
+// visitor country set by the host / CDN, the only region used for charging
+// (a client supplied one would let anyone pick the cheapest price)
+const getRegion = (req) => req.headers[regionHeader] || null;
+
+// display only: a client may preview the price of another region
+const getPreviewRegion = (req) =>
+  req.query.region || req.body?.region || getRegion(req);
+
+// role -> permissions, a user can hold several roles
+// students need none: buying is open to every signed-in user and
+// class content / TER are guarded by the enrollment itself
+const rolePermissions = {
+  student: [],
+  teacher: ['class:create', 'class:teach', 'coupon:create'],
+  admin: [
+    'user:manage',
+    'teacher:review',
+    'class:approve',
+    'payment:manage',
+    'payout:manage',
+    'ter:moderate',
+    'analytics:read',
+    'system:manage',
+  ],
+};
+
+// admin can do everything
+const getPermissions = (roles) => {
+  const granted = roles.includes('admin')
+    ? Object.keys(rolePermissions)
+    : roles.filter((role) => rolePermissions[role]);
+  return [...new Set(granted.flatMap((role) => rolePermissions[role]))];
+};
+
+// old documents only have the single `role` string
+const getUserRoles = (user) => {
+  if (Array.isArray(user?.roles) && user.roles.length) return user.roles;
+  return user?.role ? [user.role] : [];
+};
+
+// highest role, still saved as `role` for the client
+const primaryRole = (roles) =>
+  ['admin', 'teacher', 'student'].find((role) => roles.includes(role)) ||
+  'student';
+
+// request body schemas
+// field rule: { type, required, min, max, enum, pattern }
+// list rule: { type: 'list', of: { ...field rules }, max, unique: field }
+// serverOwned fields are silently dropped, any other unknown field is a 400
+const schemas = {
+  user: {
+    fields: {
+      name: { type: 'string', max: 100 },
+      email: { type: 'email', required: true },
+      image: { type: 'url' },
+    },
+    serverOwned: [
+      '_id',
+      'role',
+      'roles',
+      'status',
+      'create_at',
+      'last_loggedIn',
+    ],
+  },
+  teacherRequest: {
+    fields: {
+      name: { type: 'string', required: true, max: 100 },
+      image: { type: 'url' },
+      title: { type: 'string', required: true, max: 200 },
+      experience: {
+        type: 'string',
+        required: true,
+        enum: ['beginner', 'mid-level', 'experienced'],
+      },
+      category: { type: 'string', required: true, max: 100 },
+    },
+    serverOwned: [
+      '_id',
+      'email',
+      'status',
+      'review',
+      'history',
+      'create_at',
+      'last_request_at',
+    ],
+  },
+  addClass: {
+    fields: {
+      title: { type: 'string', required: true, max: 200 },
+      name: { type: 'string', max: 100 },
+      price: { type: 'number', required: true, min: 0 },
+      currency: { type: 'string', enum: currencyCodes },
+      description: { type: 'string', required: true, max: 5000 },
+      image: { type: 'url', required: true },
+      category: { type: 'string', max: 100 },
+      seatLimit: { type: 'number', min: 1 },
+      enrollStart: { type: 'date' },
+      enrollEnd: { type: 'date' },
+      // certificate: every assignment graded at least this percent
+      passMark: { type: 'number', min: 0, max: 100 },
+    },
+    serverOwned: [
+      '_id',
+      'email',
+      'status',
+      'enrolled',
+      'review',
+      'reviewHistory',
+      'reviewed_at',
+      'version',
+      'approvedVersion',
+      'localPrices',
+    ],
+  },
+  updateClass: {
+    fields: {
+      title: { type: 'string', max: 200 },
+      price: { type: 'number', min: 0 },
+      currency: { type: 'string', enum: currencyCodes },
+      description: { type: 'string', max: 5000 },
+      image: { type: 'url' },
+      category: { type: 'string', max: 100 },
+      seatLimit: { type: 'number', min: 1 },
+      enrollStart: { type: 'date' },
+      enrollEnd: { type: 'date' },
+      // certificate: every assignment graded at least this percent
+      passMark: { type: 'number', min: 0, max: 100 },
+    },
+    serverOwned: [
+      '_id',
+      'email',
+      'name',
+      'status',
+      'enrolled',
+      'review',
+      'reviewHistory',
+      'reviewed_at',
+      'version',
+      'approvedVersion',
+      'localPrices',
+    ],
+  },
+  addAssignment: {
+    fields: {
+      classId: { type: 'objectId', required: true },
+      title: { type: 'string', required: true, max: 200 },
+      description: { type: 'string', max: 5000 },
+      deadline: { type: 'date', required: true },
+      totalMark: { type: 'number', min: 0 },
+      allowLate: { type: 'boolean' },
+    },
+    serverOwned: ['_id', 'create_at'],
+  },
+  terReview: {
+    fields: {
+      classId: { type: 'objectId', required: true },
+      rating: { type: 'number', required: true, min: 1, max: 5 },
+      description: { type: 'string', required: true, max: 2000 },
+    },
+    serverOwned: [
+      '_id',
+      'title',
+      'teacherMail',
+      'studentEmail',
+      'name',
+      'image',
+      'hidden',
+      'flags',
+      'create_at',
+    ],
+  },
+  addSection: {
+    fields: {
+      title: { type: 'string', required: true, max: 200 },
+      order: { type: 'number', min: 0 },
+    },
+    serverOwned: ['_id', 'classId', 'create_at'],
+  },
+  updateSection: {
+    fields: {
+      title: { type: 'string', max: 200 },
+      order: { type: 'number', min: 0 },
+    },
+    serverOwned: ['_id', 'classId', 'create_at'],
+  },
+  addLesson: {
+    fields: {
+      sectionId: { type: 'objectId', required: true },
+      title: { type: 'string', required: true, max: 200 },
+      type: {
+        type: 'string',
+        required: true,
+        enum: ['text', 'video', 'attachment'],
+      },
+      content: { type: 'string', max: 20000 },
+      videoUrl: { type: 'url' },
+      attachmentUrl: { type: 'url' },
+      attachmentName: { type: 'string', max: 200 },
+      duration: { type: 'number', min: 0 },
+      order: { type: 'number', min: 0 },
+    },
+    serverOwned: ['_id', 'classId', 'create_at'],
+  },
+  updateLesson: {
+    fields: {
+      sectionId: { type: 'objectId' },
+      title: { type: 'string', max: 200 },
+      type: { type: 'string', enum: ['text', 'video', 'attachment'] },
+      content: { type: 'string', max: 20000 },
+      videoUrl: { type: 'url' },
+      attachmentUrl: { type: 'url' },
+      attachmentName: { type: 'string', max: 200 },
+      duration: { type: 'number', min: 0 },
+      order: { type: 'number', min: 0 },
+    },
+    serverOwned: ['_id', 'classId', 'create_at'],
+  },
+  updateProfile: {
+    fields: {
+      name: { type: 'string', min: 1, max: 100 },
+      image: { type: 'url' },
+      bio: { type: 'string', max: 1000 },
+      // social links are saved for teachers only
+      website: { type: 'url' },
+      facebook: { type: 'url' },
+      linkedin: { type: 'url' },
+      twitter: { type: 'url' },
+      github: { type: 'url' },
+    },
+    serverOwned: [
+      '_id',
+      'email',
+      'role',
+      'roles',
+      'permissions',
+      'status',
+      'accountStatus',
+      'create_at',
+      'last_loggedIn',
+    ],
+  },
+  addThread: {
+    fields: {
+      title: { type: 'string', required: true, min: 3, max: 200 },
+      body: { type: 'string', required: true, max: 10000 },
+      // thread about one assignment of the class
+      assignmentId: { type: 'objectId' },
+    },
+    serverOwned: ['_id', 'classId', 'create_at'],
+  },
+  updateThread: {
+    fields: {
+      title: { type: 'string', min: 3, max: 200 },
+      body: { type: 'string', max: 10000 },
+    },
+    serverOwned: ['_id', 'classId', 'assignmentId', 'create_at'],
+  },
+  addReply: {
+    fields: {
+      body: { type: 'string', required: true, min: 1, max: 10000 },
+      // reply to a reply (threaded)
+      parentId: { type: 'objectId' },
+    },
+    serverOwned: ['_id', 'threadId', 'classId', 'create_at'],
+  },
+  updateReply: {
+    fields: {
+      body: { type: 'string', required: true, min: 1, max: 10000 },
+    },
+    serverOwned: ['_id', 'threadId', 'classId', 'parentId', 'create_at'],
+  },
+  submitAssignment: {
+    fields: {
+      answer: { type: 'string', required: true, min: 1, max: 20000 },
+    },
+    serverOwned: [
+      '_id',
+      'assignmentId',
+      'classId',
+      'studentEmail',
+      'studentName',
+      'status',
+      'attempt',
+      'mark',
+      'feedback',
+      'create_at',
+      'update_at',
+    ],
+  },
+  gradeSubmission: {
+    fields: {
+      mark: { type: 'number', required: true, min: 0 },
+      feedback: { type: 'string', max: 5000 },
+    },
+    serverOwned: ['_id', 'status', 'graded_by', 'graded_at'],
+  },
+  addCoupon: {
+    fields: {
+      code: { type: 'string', required: true, max: 50 },
+      type: { type: 'string', required: true, enum: ['percentage', 'fixed'] },
+      value: { type: 'number', required: true, min: 0 },
+      // fixed amount only
+      currency: { type: 'string', enum: currencyCodes },
+      classId: { type: 'objectId' },
+      expire_at: { type: 'date' },
+      usageLimit: { type: 'number', min: 1 },
+      perUserLimit: { type: 'number', min: 1 },
+    },
+    serverOwned: ['_id', 'usedCount', 'active', 'created_by', 'create_at'],
+  },
+  couponStatus: {
+    fields: {
+      active: { type: 'boolean', required: true },
+    },
+    serverOwned: ['_id'],
+  },
+  refundPayment: {
+    fields: {
+      // default: everything not refunded yet
+      amount: { type: 'number', min: 0 },
+      reason: { type: 'string', max: 500 },
+      revoke: { type: 'boolean' },
+      // cart payment: refund / revoke one class
+      classId: { type: 'objectId' },
+    },
+    serverOwned: [],
+  },
+  addPayout: {
+    fields: {
+      teacherEmail: { type: 'email', required: true },
+      amount: { type: 'number', required: true, min: 0 },
+      note: { type: 'string', max: 500 },
+    },
+    serverOwned: ['_id', 'status', 'create_by', 'create_at'],
+  },
+  classPrices: {
+    fields: {
+      prices: {
+        type: 'list',
+        required: true,
+        max: 100,
+        unique: 'region',
+        of: {
+          region: { type: 'string', required: true, pattern: /^[A-Z]{2}$/ },
+          currency: { type: 'string', required: true, enum: currencyCodes },
+          price: { type: 'number', required: true, min: 0 },
+        },
+      },
+    },
+    serverOwned: [],
+  },
+  // admin actions: the resulting state is checked by each route
+  teacherRequestStatus: {
+    fields: {
+      status: {
+        type: 'string',
+        required: true,
+        enum: ['approved', 'rejected', 'revoked'],
+      },
+      reason: { type: 'string', max: 500 },
+    },
+    serverOwned: [],
+  },
+  classRequestStatus: {
+    fields: {
+      status: {
+        type: 'string',
+        required: true,
+        enum: ['approved', 'rejected', 'changes-requested'],
+      },
+      comment: { type: 'string', max: 2000 },
+    },
+    serverOwned: [],
+  },
+  userRole: {
+    fields: {
+      role: {
+        type: 'string',
+        required: true,
+        enum: Object.keys(rolePermissions),
+      },
+      action: { type: 'string', enum: ['add', 'remove'] },
+    },
+    serverOwned: [],
+  },
+  accountStatus: {
+    fields: {
+      action: {
+        type: 'string',
+        required: true,
+        enum: ['suspend', 'ban', 'reactivate'],
+      },
+      days: { type: 'number', min: 1, max: 3650 },
+      reason: { type: 'string', max: 500 },
+    },
+    serverOwned: [],
+  },
+  terModerate: {
+    fields: {
+      action: {
+        type: 'string',
+        required: true,
+        enum: ['hide', 'unhide', 'clear-flags'],
+      },
+      reason: { type: 'string', max: 500 },
+    },
+    serverOwned: [],
+  },
+  terFlag: {
+    fields: {
+      reason: { type: 'string', max: 500 },
+    },
+    serverOwned: [],
+  },
+  payoutPaid: {
+    fields: {
+      // bank transfer id etc.
+      reference: { type: 'string', max: 200 },
+    },
+    serverOwned: [],
+  },
+};
+
+const socialLinkFields = [
+  'website',
+  'facebook',
+  'linkedin',
+  'twitter',
+  'github',
+];
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// user text used inside a $regex matches literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// coerce one value, return { value } or { error }
+const coerceField = (value, rule) => {
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'url': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      value = value.trim();
+      if (rule.type === 'email' && !emailPattern.test(value)) {
+        return { error: 'must be a valid email' };
+      }
+      if (rule.type === 'url') {
+        try {
+          new URL(value);
+        } catch {
+          return { error: 'must be a valid url' };
+        }
+      }
+      if (rule.min !== undefined && value.length < rule.min) {
+        return { error: `must be at least ${rule.min} characters` };
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return { error: `must be at most ${rule.max} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: 'has an invalid format' };
+      }
+      break;
+    }
+    case 'number': {
+      value = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof value !== 'number' || isNaN(value)) {
+        return { error: 'must be a number' };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      break;
+    }
+    case 'boolean': {
+      if (value === 'true') value = true;
+      if (value === 'false') value = false;
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      break;
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (value === null || isNaN(date.getTime())) {
+        return { error: 'must be a valid date' };
+      }
+      value = date.toISOString();
+      break;
+    }
+    case 'objectId': {
+      if (!ObjectId.isValid(value)) return { error: 'must be a valid id' };
+      value = String(value);
+      break;
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `must be one of ${rule.enum.join(', ')}` };
+  }
+  return { value };
+};
+
+// coerce a list of objects, item errors are reported as prices.0.region
+const coerceList = (value, rule, field, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push({ field, message: 'must be a list' });
+    return null;
+  }
+  if (rule.max !== undefined && value.length > rule.max) {
+    errors.push({ field, message: `must have at most ${rule.max} items` });
+    return null;
+  }
+
+  return value.map((item, index) => {
+    const itemField = `${field}.${index}`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ field: itemField, message: 'must be an object' });
+      return null;
+    }
+    const cleaned = checkFields(item, { fields: rule.of }, errors, itemField);
+    const key = cleaned[rule.unique];
+    if (
+      rule.unique &&
+      key !== undefined &&
+      value.slice(0, index).some((other) => other?.[rule.unique] === key)
+    ) {
+      errors.push({
+        field: `${itemField}.${rule.unique}`,
+        message: 'is listed twice',
+      });
+    }
+    return cleaned;
+  });
+};
+
+// unknown-field check + coercion of one object, errors are collected
+const checkFields = (body, schema, errors, prefix) => {
+  const cleaned = {};
+  const fieldName = (field) => (prefix ? `${prefix}.${field}` : field);
+
+  Object.keys(body).forEach((field) => {
+    if (schema.serverOwned?.includes(field)) return;
+    if (!schema.fields[field]) {
+      errors.push({ field: fieldName(field), message: 'is not allowed' });
+    }
+  });
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push({ field: fieldName(field), message: 'is required' });
+      }
+      return;
+    }
+    if (rule.type === 'list') {
+      cleaned[field] = coerceList(value, rule, fieldName(field), errors);
+      return;
+    }
+    const result = coerceField(value, rule);
+    if (result.error) {
+      errors.push({ field: fieldName(field), message: result.error });
+    } else {
+      cleaned[field] = result.value;
+    }
+  });
+  return cleaned;
+};
+
+// middleware: replace req.body with the cleaned + coerced body
+const validateBody = (schema) => (req, res, next) => {
+  const errors = [];
+  const cleaned = checkFields(req.body || {}, schema, errors);
+
+  if (errors.length) {
+    return res.status(400).send({ message: 'Validation failed', errors });
+  }
+  req.body = cleaned;
+  next();
+};
+
+// same schema as a mongodb $jsonSchema (server-added fields are allowed)
+const bsonTypes = {
+  string: 'string',
+  email: 'string',
+  url: 'string',
+  date: 'string',
+  objectId: 'string',
+  number: 'number',
+  boolean: 'bool',
+  list: 'array',
+};
+const toJsonSchema = (schema, extraRequired = []) => {
+  const properties = {};
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    properties[field] = { bsonType: bsonTypes[rule.type] };
+    if (rule.type === 'number' && rule.min !== undefined) {
+      properties[field].minimum = rule.min;
+    }
+    if (rule.type === 'number' && rule.max !== undefined) {
+      properties[field].maximum = rule.max;
+    }
+    if (rule.enum) properties[field].enum = rule.enum;
+  });
+  const required = Object.keys(schema.fields)
+    .filter((field) => schema.fields[field].required)
+    .concat(extraRequired);
+  return { $jsonSchema: { bsonType: 'object', required, properties } };
+};
+
+// rows -> csv text, columns: [{ key, label }]
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const header = columns.map((column) => escape(column.label)).join(',');
+  const lines = rows.map((row) =>
+    columns.map((column) => escape(row[column.key])).join(',')
+  );
+  return [header, ...lines].join('\n');
+};
+
+// mail transport
+// EMAIL_TRANSPORT=smtp -> real smtp server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+// local smtp stand-in (MailHog / smtp4dev): EMAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025
+// anything else -> file transport, every mail saved as .eml in EMAIL_CAPTURE_DIR
+// unset: smtp when NODE_ENV=production (mails must not silently land on disk)
+const mailCaptureDir =
+  process.env.EMAIL_CAPTURE_DIR || path.join(__dirname, 'mail-capture');
+const emailTransport =
+  process.env.EMAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+
+const createMailTransport = () => {
+  if (emailTransport === 'smtp') {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is required for the smtp email transport');
+    }
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  const streamTransport = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+  });
+  return {
+    sendMail: async (mail) => {
+      const info = await streamTransport.sendMail(mail);
+      await fs.promises.mkdir(mailCaptureDir, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      await fs.promises.writeFile(
+        path.join(mailCaptureDir, fileName),
+        info.message
+      );
+      return { ...info, file: fileName };
+    },
+  };
+};
+const mailTransport = createMailTransport();
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// one heading + paragraphs, same for every template
+const emailLayout = (heading, allLines) => {
+  const lines = allLines.filter(Boolean);
+  return {
+    text: [heading, '', ...lines, '', 'LearnNest'].join('\n'),
+    html: `<div style="font-family:sans-serif;max-width:560px">
+<h2>${escapeHtml(heading)}</h2>
+${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n')}
+<p style="color:#888">LearnNest</p>
+</div>`,
+  };
+};
+
+// template name -> (data) => { subject, text, html }
+const emailTemplates = {
+  enrollmentReceipt: (data) => ({
+    subject: `Your LearnNest receipt for ${data.title}`,
+    ...emailLayout('Thanks for enrolling!', [
+      `You are now enrolled in ${data.title}.`,
+      `Amount paid: ${data.amount} ${String(data.currency).toUpperCase()}`,
+      `Payment reference: ${data.paymentIntentId}`,
+      data.receiptUrl ? `Card receipt: ${data.receiptUrl}` : '',
+    ]),
+  }),
+  teacherRequestDecision: (data) => ({
+    subject: `Your LearnNest teacher request is ${data.status}`,
+    ...emailLayout(`Teacher request ${data.status}`, [
+      data.status === 'approved'
+        ? 'Welcome aboard! You can now create classes from your dashboard.'
+        : `Reason: ${data.reason}`,
+    ]),
+  }),
+  classReview: (data) => ({
+    subject: `Your class "${data.title}" is ${data.status}`,
+    ...emailLayout(`Class ${data.status}`, [
+      `Class: ${data.title}`,
+      data.comment ? `Reviewer feedback: ${data.comment}` : '',
+    ]),
+  }),
+  accountStatus: (data) => ({
+    subject: `Your LearnNest account is ${data.status}`,
+    ...emailLayout(`Account ${data.status}`, [
+      data.reason ? `Reason: ${data.reason}` : '',
+      data.until ? `Until: ${new Date(data.until).toUTCString()}` : '',
+    ]),
+  }),
+  assignmentDueReminder: (data) => ({
+    subject: `Reminder: "${data.title}" is due soon`,
+    ...emailLayout('Assignment due soon', [
+      `${data.title} in ${data.classTitle} is due on ${new Date(
+        data.deadline
+      ).toUTCString()}.`,
+      'You have not submitted it yet.',
+    ]),
+  }),
+  waitlistOffer: (data) => ({
+    subject: `A seat opened up in ${data.title}`,
+    ...emailLayout('Your seat is waiting', [
+      `A seat in ${data.title} is held for you until ${new Date(
+        data.until
+      ).toUTCString()}.`,
+      'Enroll before then or it goes to the next student on the waitlist.',
+    ]),
+  }),
+  certificateIssued: (data) => ({
+    subject: `Your certificate for ${data.classTitle}`,
+    ...emailLayout('Congratulations!', [
+      `You completed ${data.classTitle} and earned a certificate.`,
+      `Certificate ID: ${data.code}`,
+      `Download: ${data.pdfUrl}`,
+    ]),
+  }),
+};
+
+// certificate of completion as a one page pdf (resolves with a Buffer)
+const renderCertificatePdf = (certificate, verifyUrl) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 60,
+      info: { Title: `Certificate ${certificate.code}`, Author: 'LearnNest' },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const center = { align: 'center' };
+    doc
+      .lineWidth(4)
+      .rect(25, 25, width - 50, height - 50)
+      .stroke('#1f4e8c');
+
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(34).fillColor('#1f4e8c');
+    doc.text('Certificate of Completion', center);
+    doc.moveDown(1.2);
+    doc.font('Helvetica').fontSize(16).fillColor('#333');
+    doc.text('This certifies that', center);
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(28).fillColor('#111');
+    doc.text(certificate.studentName, center);
+    doc.moveDown(0.6);
+    doc.font('Helvetica').fontSize(16).fillColor('#333');
+    doc.text('has successfully completed', center);
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#111');
+    doc.text(certificate.classTitle, center);
+    doc.moveDown(0.4);
+    doc.font('Helvetica').fontSize(14).fillColor('#333');
+    doc.text(`taught by ${certificate.teacherName}`, center);
+
+    doc.moveDown(2.5);
+    doc.fontSize(11).fillColor('#666');
+    doc.text(
+      `Issued on ${new Date(certificate.issued_at).toDateString()}`,
+      center
+    );
+    doc.text(`Certificate ID: ${certificate.code}`, center);
+    doc.text(`Verify at ${verifyUrl}`, { ...center, link: verifyUrl });
+    doc.end();
+  });
 
 // Create a MongoClient with a MongoClientOptions object to set the Stable API version
 const client = new MongoClient(process.env.MONGODB_URI, {
@@ -49,6 +912,159 @@ async function run() {
     const assignmentCollection = database.collection('assignment-question');
     const enrollCollection = database.collection('enrolled-classes');
     const reportCollection = database.collection('ter-report');
+    const submissionCollection = database.collection('assignment-submission');
+    const paymentCollection = database.collection('payments');
+    const couponCollection = database.collection('coupons');
+    const couponRedemptionCollection = database.collection('coupon-redemption');
+    const sectionCollection = database.collection('class-section');
+    const lessonCollection = database.collection('class-lesson');
+    const lessonProgressCollection = database.collection('lesson-progress');
+    const settingsCollection = database.collection('settings');
+    const payoutCollection = database.collection('payouts');
+    const classViewCollection = database.collection('class-view');
+    const classVersionCollection = database.collection('class-version');
+    const notificationCollection = database.collection('notifications');
+    const emailQueueCollection = database.collection('email-queue');
+    const jobCollection = database.collection('jobs');
+    const auditCollection = database.collection('audit-log');
+    const wishlistCollection = database.collection('wishlist');
+    const cartCollection = database.collection('cart');
+    const checkoutCollection = database.collection('cart-checkout');
+    const seatCollection = database.collection('seat-reservation');
+    const waitlistCollection = database.collection('class-waitlist');
+    const threadCollection = database.collection('discussion-thread');
+    const replyCollection = database.collection('discussion-reply');
+
+    // collection validators, 'moderate' so old documents are left alone
+    const applyValidator = async (name, validator) => {
+      try {
+        await database.command({
+          collMod: name,
+          validator,
+          validationLevel: 'moderate',
+        });
+      } catch (error) {
+        if (error.codeName !== 'NamespaceNotFound') throw error;
+        await database.createCollection(name, {
+          validator,
+          validationLevel: 'moderate',
+        });
+      }
+    };
+    Promise.all([
+      applyValidator('users', toJsonSchema(schemas.user, ['role'])),
+      applyValidator(
+        'teachOnLearnNest',
+        toJsonSchema(schemas.teacherRequest, ['email', 'status'])
+      ),
+      applyValidator(
+        'all-class',
+        toJsonSchema(schemas.addClass, ['email', 'status'])
+      ),
+      applyValidator(
+        'assignment-question',
+        toJsonSchema(schemas.addAssignment)
+      ),
+      applyValidator(
+        'ter-report',
+        toJsonSchema(schemas.terReview, ['teacherMail', 'studentEmail'])
+      ),
+    ]).catch(console.dir);
+
+    // one enrolled record per class per stripe payment (a cart pays many)
+    // old records have no paymentIntentId
+    enrollCollection
+      .dropIndex('paymentIntentId_1')
+      .catch(() => {})
+      .then(() =>
+        enrollCollection.createIndex(
+          { paymentIntentId: 1, classId: 1 },
+          {
+            unique: true,
+            partialFilterExpression: { paymentIntentId: { $exists: true } },
+          }
+        )
+      )
+      .catch(console.dir);
+    paymentCollection
+      .createIndex({ paymentIntentId: 1 }, { unique: true })
+      .catch(console.dir);
+    couponCollection
+      .createIndex({ code: 1 }, { unique: true })
+      .catch(console.dir);
+    // one row per held / redeemed coupon use, slot caps the uses per student
+    couponRedemptionCollection
+      .createIndex({ code: 1, studentEmail: 1, slot: 1 }, { unique: true })
+      .catch(console.dir);
+    // one TER per student per class (old anonymous reports are skipped)
+    reportCollection
+      .createIndex(
+        { classId: 1, studentEmail: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { studentEmail: { $exists: true } },
+        }
+      )
+      .catch(console.dir);
+    lessonProgressCollection
+      .createIndex({ studentEmail: 1, lessonId: 1 }, { unique: true })
+      .catch(console.dir);
+    notificationCollection
+      .createIndex({ email: 1, create_at: -1 })
+      .catch(console.dir);
+    auditCollection.createIndex({ create_at: -1 }).catch(console.dir);
+    enrollCollection
+      .createIndex(
+        { 'certificate.code': 1 },
+        {
+          unique: true,
+          partialFilterExpression: { 'certificate.code': { $exists: true } },
+        }
+      )
+      .catch(console.dir);
+    // one live enrollment per student per class (revoked ones can rebuy)
+    enrollCollection
+      .createIndex(
+        { classId: 1, studentEmail: 1 },
+        { unique: true, partialFilterExpression: { status: 'active' } }
+      )
+      .catch(console.dir);
+    wishlistCollection
+      .createIndex({ studentEmail: 1, classId: 1 }, { unique: true })
+      .catch(console.dir);
+    cartCollection
+      .createIndex({ studentEmail: 1, classId: 1 }, { unique: true })
+      .catch(console.dir);
+    // seat holds drop themselves (expire_at is a Date for the TTL index)
+    seatCollection
+      .createIndex({ expire_at: 1 }, { expireAfterSeconds: 0 })
+      .catch(console.dir);
+    seatCollection
+      .createIndex({ classId: 1, studentEmail: 1 }, { unique: true })
+      .catch(console.dir);
+    waitlistCollection
+      .createIndex({ classId: 1, studentEmail: 1 }, { unique: true })
+      .catch(console.dir);
+    threadCollection
+      .createIndex({ classId: 1, pinned: -1, last_activity_at: -1 })
+      .catch(console.dir);
+    replyCollection
+      .createIndex({ threadId: 1, create_at: 1 })
+      .catch(console.dir);
+
+    // enrolled record status: active | disputed | revoked (old records: none)
+    const findActiveEnrollment = (classId, email) =>
+      enrollCollection.findOne({
+        classId,
+        studentEmail: email,
+        status: { $nin: ['revoked', 'disputed'] },
+      });
+    // already bought, a disputed enrollment still counts as owned
+    const findOwnedEnrollment = (classId, email, session) =>
+      enrollCollection.findOne(
+        { classId, studentEmail: email, status: { $ne: 'revoked' } },
+        { session }
+      );
 
     // done: verify section ---> #1
     // done: firebase JWT
@@ -64,46 +1080,186 @@ async function run() {
         return res.status(401).send({ message: 'Unauthorized access' });
       }
       try {
-        const decoded = await admin.auth().verifyIdToken(token);
+        // checkRevoked: rejects disabled (suspended / banned) users and
+        // tokens issued before a revokeRefreshTokens call
+        const decoded = await admin.auth().verifyIdToken(token, true);
         // console.log('yes decoded token', decoded);
+        // accountStatus claim is set by setAccountStatus
+        if (['suspended', 'banned'].includes(decoded.accountStatus)) {
+          return res
+            .status(403)
+            .send({ message: 'Your account is suspended or banned' });
+        }
 
         req.decoded = decoded;
 
         next();
       } catch (error) {
         console.log(error);
+        if (error.code === 'auth/user-disabled') {
+          return res
+            .status(403)
+            .send({ message: 'Your account is suspended or banned' });
+        }
         return res.status(401).send({ message: 'Unauthorized access' });
       }
     };
 
-    // custom middleware for Admin verify
-    const verifyAdmin = async (req, res, next) => {
-      const email = req.decoded.email;
-      const query = { email };
-      const user = await usersCollection.findOne(query);
-      if (!user || user.role !== 'admin') {
+    // mirror roles into firebase custom claims
+    // client must refresh its id token (getIdToken(true)) to see them
+    // claimRoles keeps what was last written, so it is not written again
+    const syncRoleClaims = async (email) => {
+      const user = await usersCollection.findOne({ email });
+      const roles = getUserRoles(user);
+      try {
+        const firebaseUser = await admin.auth().getUserByEmail(email);
+        await admin.auth().setCustomUserClaims(firebaseUser.uid, {
+          ...firebaseUser.customClaims,
+          roles,
+        });
+        await usersCollection.updateOne(
+          { email },
+          { $set: { claimRoles: roles } }
+        );
+      } catch (error) {
+        console.error('Claim sync failed:', error.message);
+      }
+      return roles;
+    };
+
+    // add / remove one role, keep `role` as the highest one
+    const changeUserRole = async (email, role, action) => {
+      const user = await usersCollection.findOne({ email });
+      if (!user) return null;
+
+      const current = getUserRoles(user);
+      let roles =
+        action === 'remove'
+          ? current.filter((item) => item !== role)
+          : [...new Set([...current, role])];
+      if (roles.length === 0) roles = ['student'];
+
+      await usersCollection.updateOne(
+        { email },
+        { $set: { roles, role: primaryRole(roles) } }
+      );
+      await syncRoleClaims(email);
+
+      // a removed role must not live on in refresh tokens
+      if (action === 'remove') {
+        admin
+          .auth()
+          .getUserByEmail(email)
+          .then((firebaseUser) =>
+            admin.auth().revokeRefreshTokens(firebaseUser.uid)
+          )
+          .catch((error) => console.error(error.message));
+      }
+      return roles;
+    };
+
+    // roles from the token claim; db only for tokens issued before claims
+    const loadRoles = async (req) => {
+      if (req.roles) return req.roles;
+
+      if (Array.isArray(req.decoded.roles)) {
+        req.roles = req.decoded.roles;
+      } else {
+        const user = await usersCollection.findOne({
+          email: req.decoded.email,
+        });
+        req.roles = getUserRoles(user);
+        // token older than the claims: only sync when they are not set yet
+        if (user && user.claimRoles?.join() !== req.roles.join()) {
+          syncRoleClaims(req.decoded.email);
+        }
+      }
+      req.role = primaryRole(req.roles);
+      return req.roles;
+    };
+
+    // every admin write (non GET) is written to the audit log
+    // permission: the one checked, 'admin' when the admin role itself
+    // lets the caller act on someone else's class
+    const auditAdminWrite = (req, res, permission) => {
+      if (req.method !== 'GET') {
+        res.on('finish', () => writeAuditLog(req, res, permission));
+      }
+    };
+
+    // custom middleware for permission verify
+    const verifyPermission = (permission) => async (req, res, next) => {
+      const roles = await loadRoles(req);
+      if (!getPermissions(roles).includes(permission)) {
         return res.status(403).send({ message: 'Forbidden Access' });
       }
+      if (roles.includes('admin')) auditAdminWrite(req, res, permission);
       next();
     };
 
-    // custom middleware for Admin verify
-    const verifyTeacher = async (req, res, next) => {
-      const email = req.decoded.email;
-      const query = { email };
-      const user = await usersCollection.findOne(query);
-      if (!user || user.role !== 'teacher') {
+    // class owner (teacher by class email) or admin only
+    // class id from :classId / :id param or body.classId
+    const verifyClassOwner = async (req, res, next) => {
+      const classId = req.params.classId || req.params.id || req.body?.classId;
+      if (!ObjectId.isValid(classId)) {
+        return res.status(400).send({ message: 'Invalid class id' });
+      }
+
+      const classData = await classCollection.findOne({
+        _id: new ObjectId(classId),
+      });
+      if (!classData) {
+        return res.status(404).send({ message: 'Class not found' });
+      }
+
+      const roles = await loadRoles(req);
+      const isAdmin = roles.includes('admin');
+      const isOwner =
+        roles.includes('teacher') && classData.email === req.decoded.email;
+      if (!isAdmin && !isOwner) {
         return res.status(403).send({ message: 'Forbidden Access' });
       }
+      if (!isOwner) auditAdminWrite(req, res, 'admin');
+
+      req.classData = classData;
       next();
     };
 
+    // active student of the class, class owner or admin
+    // class id from :classId / :id param
+    const verifyClassAccess = async (req, res, next) => {
+      const classId = req.params.classId || req.params.id;
+      if (!ObjectId.isValid(classId)) {
+        return res.status(400).send({ message: 'Invalid class id' });
+      }
+
+      const email = req.decoded.email;
+      const enrolled = await findActiveEnrollment(classId, email);
+      if (enrolled) {
+        req.role = 'student';
+        return next();
+      }
+
+      const classData = await classCollection.findOne({
+        _id: new ObjectId(classId),
+      });
+      const roles = await loadRoles(req);
+      if (classData?.email === email) {
+        return next();
+      }
+      if (roles.includes('admin')) {
+        auditAdminWrite(req, res, 'admin');
+        return next();
+      }
+      return res.status(403).send({ message: 'Forbidden Access' });
+    };
+
     // done: admin section ---> #2
     // user search (makeAdmin client)
     app.get(
       '/users/search',
       verifyFirebaseToken,
-      verifyAdmin,
+      verifyPermission('user:manage'),
       async (req, res) => {
         const emailQuery = req.query.email;
 
@@ -133,10 +1289,11 @@ async function run() {
     );
 
     // save user data in db and update last login time
-    app.post('/user', async (req, res) => {
+    app.post('/user', validateBody(schemas.user), async (req, res) => {
       try {
         const userData = req.body;
         userData.role = 'student';
+        userData.roles = ['student'];
         userData.status = 'not-verified';
         userData.create_at = new Date().toISOString();
         userData.last_loggedIn = new Date().toISOString();
@@ -163,26 +1320,44 @@ async function run() {
     });
 
     // make admin
+    // body: { role, action: 'add' | 'remove' } (default add, roles stack)
     app.patch(
       '/make-admin/:id',
       verifyFirebaseToken,
-      verifyAdmin,
+      verifyPermission('user:manage'),
+      validateBody(schemas.userRole),
       async (req, res) => {
         const id = req.params.id;
-        const { role } = req.body;
+        const { role, action = 'add' } = req.body;
         // console.log(id, role);
 
+        if (!rolePermissions[role] || !['add', 'remove'].includes(action)) {
+          return res.status(400).send({ message: 'Invalid role or action' });
+        }
+
         try {
-          const result = await usersCollection.updateOne(
-            { _id: new ObjectId(id) },
-            {
-              $set: {
-                role: role,
-                status: 'verified',
-              },
-            }
+          const user = await usersCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+          }
+          if (
+            action === 'remove' &&
+            role === 'admin' &&
+            user.email === req.decoded.email
+          ) {
+            return res
+              .status(400)
+              .send({ message: 'You can not remove your own admin role' });
+          }
+
+          await usersCollection.updateOne(
+            { _id: user._id },
+            { $set: { status: 'verified' } }
           );
-          res.send(result);
+          const roles = await changeUserRole(user.email, role, action);
+          res.send({ modifiedCount: 1, roles, role: primaryRole(roles) });
         } catch (error) {
           console.error(error);
           res.status(500).send({ message: 'Failed to update' });
@@ -194,7 +1369,7 @@ async function run() {
     app.get(
       '/all-request',
       verifyFirebaseToken,
-      verifyAdmin,
+      verifyPermission('teacher:review'),
       async (req, res) => {
         const result = await teacherRequestCollection.find().toArray();
         res.send(result);
@@ -202,30 +1377,94 @@ async function run() {
     );
 
     // teacher request status update
+    // pending -> approved | rejected, approved -> revoked
+    // the resulting user role is decided here, not by the client
+    const teacherRequestTransitions = {
+      pending: ['approved', 'rejected'],
+      approved: ['revoked'],
+    };
+
     app.patch(
       '/teacher-request-status/:id',
       verifyFirebaseToken,
-      verifyAdmin,
+      verifyPermission('teacher:review'),
+      validateBody(schemas.teacherRequestStatus),
       async (req, res) => {
         const id = req.params.id;
-        const { status, role, email } = req.body;
+        const { status } = req.body;
+        const reason = req.body.reason?.trim();
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid request id' });
+        }
+        if (['rejected', 'revoked'].includes(status) && !reason) {
+          return res.status(400).send({ message: 'Reason is required' });
+        }
 
         try {
-          await teacherRequestCollection.updateOne(
-            { _id: new ObjectId(id) },
-            {
-              $set: { status: status },
-            }
-          );
+          const teacherRequest = await teacherRequestCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!teacherRequest) {
+            return res.status(404).send({ message: 'Request not found' });
+          }
 
-          await usersCollection.updateOne(
-            { email },
+          const allowed = teacherRequestTransitions[teacherRequest.status];
+          if (!allowed?.includes(status)) {
+            return res.status(409).send({
+              message: `Can not change ${teacherRequest.status} request to ${status}`,
+            });
+          }
+
+          const now = new Date().toISOString();
+          const review = {
+            from: teacherRequest.status,
+            to: status,
+            reason: reason || null,
+            by: req.decoded.email,
+            at: now,
+          };
+
+          // only from the status we read, so two admins can not both apply
+          const result = await teacherRequestCollection.updateOne(
+            { _id: new ObjectId(id), status: teacherRequest.status },
             {
-              $set: { role: role },
+              $set: { status: status, review },
+              $push: { history: review },
             }
           );
+          if (result.modifiedCount === 0) {
+            return res
+              .status(409)
+              .send({ message: 'Request was changed by someone else' });
+          }
+
+          // teacher role is added next to any role the user already has
+          const email = teacherRequest.email;
+          if (status === 'approved') {
+            await changeUserRole(email, 'teacher', 'add');
+          }
+          if (status === 'revoked') {
+            await changeUserRole(email, 'teacher', 'remove');
+          }
 
-          res.send({ message: 'updated' });
+          const decisionMessage = {
+            approved: 'Your teacher request is approved. Welcome aboard!',
+            rejected: `Your teacher request is rejected: ${reason}`,
+            revoked: `Your teacher access is revoked: ${reason}`,
+          };
+          await notify(email, {
+            type: 'teacher-request',
+            title: `Teacher request ${status}`,
+            message: decisionMessage[status],
+            link: '/dashboard/teach-on',
+          });
+          await enqueueEmail('teacherRequestDecision', email, {
+            status,
+            reason,
+          });
+
+          res.send({ message: 'updated', status });
         } catch (error) {
           console.error(error);
           res.status(500).send({ message: 'Failed to update' });
@@ -233,11 +1472,32 @@ async function run() {
       }
     );
 
+    // review history of one application
+    app.get(
+      '/teacher-request-history/:id',
+      verifyFirebaseToken,
+      verifyPermission('teacher:review'),
+      async (req, res) => {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid request id' });
+        }
+        const result = await teacherRequestCollection.findOne(
+          { _id: new ObjectId(id) },
+          { projection: { email: 1, name: 1, status: 1, history: 1 } }
+        );
+        if (!result) {
+          return res.status(404).send({ message: 'Request not found' });
+        }
+        res.send(result);
+      }
+    );
+
     // control class
     app.get(
       '/admin-add-class',
       verifyFirebaseToken,
-      verifyAdmin,
+      verifyPermission('class:approve'),
       async (req, res) => {
         const result = await classCollection.find().toArray();
         res.send(result);
@@ -245,21 +1505,79 @@ async function run() {
     );
 
     // class status control
+    // pending -> approved | rejected | changes-requested
+    // approved -> rejected | changes-requested (take down a live class)
+    // rejected / changes-requested -> pending again via /class-resubmit
+    const classReviewTransitions = {
+      pending: ['approved', 'rejected', 'changes-requested'],
+      approved: ['rejected', 'changes-requested'],
+    };
+
     app.patch(
       '/class-request-status/:id',
       verifyFirebaseToken,
-      verifyAdmin,
+      verifyPermission('class:approve'),
+      validateBody(schemas.classRequestStatus),
       async (req, res) => {
         const id = req.params.id;
         const { status } = req.body;
+        const comment = req.body.comment?.trim();
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid class id' });
+        }
+        if (['rejected', 'changes-requested'].includes(status) && !comment) {
+          return res.status(400).send({ message: 'Comment is required' });
+        }
 
         try {
+          const classData = await classCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!classData) {
+            return res.status(404).send({ message: 'Class not found' });
+          }
+          if (!classReviewTransitions[classData.status]?.includes(status)) {
+            return res.status(409).send({
+              message: `Can not change ${classData.status} class to ${status}`,
+            });
+          }
+
+          const now = new Date().toISOString();
+          const review = {
+            from: classData.status,
+            to: status,
+            comment: comment || null,
+            version: classData.version || 0,
+            by: req.decoded.email,
+            at: now,
+          };
+          const update = { status: status, review, reviewed_at: now };
+          if (status === 'approved') {
+            update.approvedVersion = classData.version || 0;
+          }
+
           await classCollection.updateOne(
             { _id: new ObjectId(id) },
             {
-              $set: { status: status },
+              $set: update,
+              $push: { reviewHistory: review },
             }
           );
+
+          await notify(classData.email, {
+            type: 'class-review',
+            title: `Class ${status}`,
+            message: comment
+              ? `${classData.title}: ${comment}`
+              : `${classData.title} is ${status}`,
+            link: '/dashboard/my-class',
+          });
+          await enqueueEmail('classReview', classData.email, {
+            title: classData.title,
+            status,
+            comment,
+          });
           res.send({ message: 'updates class request' });
         } catch (error) {
           console.error(error);
@@ -268,24 +1586,114 @@ async function run() {
       }
     );
 
-    // done: HOME SECTION 6 DATA  ---> #3
-    app.get('/top-enrolled-classes', async (req, res) => {
-      try {
-        const topClasses = await classCollection
-          .find({ enrolled: { $gt: 0 } })
-          .sort({ enrolled: -1 })
-          .limit(6)
-          .toArray();
-
-        res.status(200).json(topClasses);
-      } catch (error) {
-        console.error('Error fetching top classes:', error);
-        res.status(500).json({ message: 'Server error', error: error.message });
-      }
-    });
+    // class field changes since the last approved version
+    app.get(
+      '/class-diff/:id',
+      verifyFirebaseToken,
+      verifyPermission('class:approve'),
+      async (req, res) => {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid class id' });
+        }
 
-    app.get('/home-countUp', async (req, res) => {
-      const totalUser = await usersCollection.estimatedDocumentCount();
+        const classData = await classCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!classData) {
+          return res.status(404).send({ message: 'Class not found' });
+        }
+
+        const approved =
+          classData.approvedVersion !== undefined
+            ? await classVersionCollection.findOne({
+                classId: id,
+                version: classData.approvedVersion,
+              })
+            : null;
+
+        const changes = classVersionFields
+          .filter(
+            (field) =>
+              JSON.stringify(approved?.data?.[field]) !==
+              JSON.stringify(classData[field])
+          )
+          .map((field) => ({
+            field,
+            before: approved?.data?.[field] ?? null,
+            after: classData[field] ?? null,
+          }));
+
+        res.send({
+          approvedVersion: classData.approvedVersion ?? null,
+          currentVersion: classData.version || 0,
+          changes,
+        });
+      }
+    );
+
+    // every saved version of a class (owner or admin)
+    app.get(
+      '/class-versions/:id',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const result = await classVersionCollection
+          .find({ classId: req.params.id })
+          .sort({ version: -1 })
+          .toArray();
+        res.send(result);
+      }
+    );
+
+    // teacher send a rejected / changes-requested class back to review
+    app.patch(
+      '/class-resubmit/:id',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const { id } = req.params;
+        const { status } = req.classData;
+        if (!['rejected', 'changes-requested'].includes(status)) {
+          return res
+            .status(409)
+            .send({ message: `Can not resubmit a ${status} class` });
+        }
+
+        const review = {
+          from: status,
+          to: 'pending',
+          comment: req.body?.comment?.trim() || null,
+          version: req.classData.version || 0,
+          by: req.decoded.email,
+          at: new Date().toISOString(),
+        };
+        await classCollection.updateOne(
+          { _id: new ObjectId(id) },
+          { $set: { status: 'pending' }, $push: { reviewHistory: review } }
+        );
+        res.send({ message: 'Class resubmitted for review' });
+      }
+    );
+
+    // done: HOME SECTION 6 DATA  ---> #3
+    app.get('/top-enrolled-classes', async (req, res) => {
+      try {
+        const topClasses = await classCollection
+          .find({ enrolled: { $gt: 0 } })
+          .sort({ enrolled: -1 })
+          .limit(6)
+          .toArray();
+
+        res.status(200).json(topClasses);
+      } catch (error) {
+        console.error('Error fetching top classes:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+      }
+    });
+
+    app.get('/home-countUp', async (req, res) => {
+      const totalUser = await usersCollection.estimatedDocumentCount();
       const totalClass = await classCollection.estimatedDocumentCount();
       const totalEnrolledClass =
         await enrollCollection.estimatedDocumentCount();
@@ -305,33 +1713,93 @@ async function run() {
     });
 
     // done: teacher section ---> #4
+    // wait after a rejection before applying again
+    const teacherReapplyCooldownDays = 7;
+
     // save teacher request data in db
-    app.post('/teacher-request', verifyFirebaseToken, async (req, res) => {
-      const teachOnData = req.body;
-      teachOnData.status = 'pending';
-      teachOnData.create_at = new Date().toISOString();
-      teachOnData.last_request_at = new Date().toISOString();
-
-      const email = teachOnData?.email;
-      const alreadyRequest = await teacherRequestCollection.findOne({
-        email,
-      });
-      if (!!alreadyRequest) {
-        await teacherRequestCollection.updateOne(
-          { email },
-          {
-            $set: {
-              status: 'pending',
-              last_request_at: new Date().toISOString(),
-            },
+    app.post(
+      '/teacher-request',
+      verifyFirebaseToken,
+      validateBody(schemas.teacherRequest),
+      async (req, res) => {
+        const teachOnData = req.body;
+        const now = new Date().toISOString();
+        teachOnData.email = req.decoded.email;
+        teachOnData.status = 'pending';
+        teachOnData.create_at = now;
+        teachOnData.last_request_at = now;
+
+        const email = teachOnData?.email;
+        const alreadyRequest = await teacherRequestCollection.findOne({
+          email,
+        });
+        if (!!alreadyRequest) {
+          if (alreadyRequest.status === 'approved') {
+            return res
+              .status(409)
+              .send({ message: 'You are already a teacher' });
           }
-        );
-        return res
-          .status(200)
-          .send({ message: 'Already exists', inserted: false });
+          if (alreadyRequest.status === 'pending') {
+            return res
+              .status(409)
+              .send({ message: 'Your request is already under review' });
+          }
+
+          // an expired request was never decided, no cooldown
+          const decidedAt = new Date(
+            alreadyRequest.status === 'expired'
+              ? 0
+              : alreadyRequest.review?.at || 0
+          );
+          const canApplyAt = new Date(
+            decidedAt.getTime() +
+              teacherReapplyCooldownDays * 24 * 60 * 60 * 1000
+          );
+          if (new Date() < canApplyAt) {
+            return res.status(429).send({
+              message: 'You can apply again later',
+              canApplyAt: canApplyAt.toISOString(),
+            });
+          }
+
+          await teacherRequestCollection.updateOne(
+            { email },
+            {
+              $set: {
+                ...req.body,
+                create_at: alreadyRequest.create_at,
+                status: 'pending',
+                last_request_at: now,
+              },
+              $push: {
+                history: {
+                  from: alreadyRequest.status,
+                  to: 'pending',
+                  reason: 'reapplied',
+                  by: email,
+                  at: now,
+                },
+              },
+            }
+          );
+          return res
+            .status(200)
+            .send({ message: 'Already exists', inserted: false });
+        }
+
+        teachOnData.history = [
+          { from: null, to: 'pending', reason: null, by: email, at: now },
+        ];
+        const result = await teacherRequestCollection.insertOne(teachOnData);
+        res.send(result);
       }
+    );
 
-      const result = await teacherRequestCollection.insertOne(teachOnData);
+    // applicant own request with review result
+    app.get('/my-teacher-request', verifyFirebaseToken, async (req, res) => {
+      const result = await teacherRequestCollection.findOne({
+        email: req.decoded.email,
+      });
       res.send(result);
     });
 
@@ -339,7 +1807,7 @@ async function run() {
     app.get(
       '/get-all-classes/:email',
       verifyFirebaseToken,
-      verifyTeacher,
+      verifyPermission('class:teach'),
       async (req, res) => {
         const email = req.params.email;
 
@@ -348,6 +1816,10 @@ async function run() {
             return res.status(400).send({ message: 'Email is required' });
           }
 
+          if (email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden Access' });
+          }
+
           const result = await classCollection.find({ email }).toArray();
           if (result.length === 0) {
             return res
@@ -355,7 +1827,14 @@ async function run() {
               .json({ message: 'No classes found for this email' });
           }
 
-          res.status(200).json(result);
+          // current review state + latest admin feedback per class
+          res.status(200).json(
+            result.map((item) => ({
+              ...item,
+              reviewState: item.status,
+              feedback: item.review?.comment || null,
+            }))
+          );
         } catch (error) {
           console.error('Error fetching classes:', error);
           res
@@ -369,7 +1848,7 @@ async function run() {
     app.get(
       '/all-enrolled/:id',
       verifyFirebaseToken,
-      verifyTeacher,
+      verifyClassOwner,
       async (req, res) => {
         const { id } = req.params;
         // console.log(id);
@@ -391,7 +1870,7 @@ async function run() {
     app.get(
       '/all-assignment-count/:id',
       verifyFirebaseToken,
-      verifyTeacher,
+      verifyClassOwner,
       async (req, res) => {
         const { id } = req.params;
         // console.log(id);
@@ -409,16 +1888,42 @@ async function run() {
       }
     );
 
+    // snapshot of the editable fields, one per class version
+    const classVersionFields = [
+      ...Object.keys(schemas.updateClass.fields),
+      'localPrices',
+    ];
+    const saveClassVersion = (classId, classData, email) => {
+      const data = {};
+      classVersionFields.forEach((field) => {
+        data[field] = classData[field] ?? null;
+      });
+      return classVersionCollection.insertOne({
+        classId: classId.toString(),
+        version: classData.version,
+        data,
+        create_by: email,
+        create_at: new Date().toISOString(),
+      });
+    };
+
     // add classes data save in database
     app.post(
       '/add-class',
       verifyFirebaseToken,
-      verifyTeacher,
+      verifyPermission('class:create'),
+      validateBody(schemas.addClass),
       async (req, res) => {
         const addClassData = req.body;
+        // owner + review state are decided by server
+        addClassData.email = req.decoded.email;
+        addClassData.status = 'pending';
+        addClassData.enrolled = 0;
         // console.log(addClassData);
+        addClassData.version = 1;
         try {
-          await classCollection.insertOne(addClassData);
+          const { insertedId } = await classCollection.insertOne(addClassData);
+          await saveClassVersion(insertedId, addClassData, req.decoded.email);
           return res
             .status(200)
             .send({ message: 'Add class saved in db', inserted: false });
@@ -443,37 +1948,101 @@ async function run() {
       }
     });
 
-    // update class all fields
-    app.put('/update-class/:id', async (req, res) => {
-      const { id } = req.params;
-      const updatedData = req.body;
-      try {
-        const result = await classCollection.updateOne(
-          { _id: new ObjectId(id) },
-          {
-            $set: {
-              ...updatedData,
-            },
-          }
-        );
+    // save edited fields of req.classData as a new class version
+    // teacher edit of an approved class needs a new review
+    const saveClassEdit = async (req, updatedData) => {
+      const update = {};
+      if (req.role !== 'admin' && req.classData.status === 'approved') {
+        updatedData.status = 'pending';
+        update.$push = {
+          reviewHistory: {
+            from: 'approved',
+            to: 'pending',
+            comment: 'edited by teacher',
+            version: (req.classData.version || 0) + 1,
+            by: req.decoded.email,
+            at: new Date().toISOString(),
+          },
+        };
+      }
 
-        res.send(result);
-      } catch (err) {
-        res.status(500).send({ message: 'Update failed', error: err });
+      const result = await classCollection.updateOne(
+        { _id: req.classData._id },
+        {
+          $set: {
+            ...updatedData,
+          },
+          $inc: { version: 1 },
+          ...update,
+        }
+      );
+      const updatedClass = await classCollection.findOne({
+        _id: req.classData._id,
+      });
+      await saveClassVersion(
+        req.classData._id,
+        updatedClass,
+        req.decoded.email
+      );
+      return { result, updatedClass };
+    };
+
+    // update class editable fields (owner or admin)
+    app.put(
+      '/update-class/:id',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      validateBody(schemas.updateClass),
+      async (req, res) => {
+        const { id } = req.params;
+        const updatedData = req.body;
+        if (Object.keys(updatedData).length === 0) {
+          return res.status(400).send({ message: 'Nothing to update' });
+        }
+
+        try {
+          const { result, updatedClass } = await saveClassEdit(
+            req,
+            updatedData
+          );
+          if (updatedData.seatLimit) await offerFreeSeats(id);
+
+          res.send({ ...result, status: updatedClass.status });
+        } catch (err) {
+          res.status(500).send({ message: 'Update failed', error: err });
+        }
       }
-    });
+    );
 
     // create assignment
     app.post(
       '/add-assignment',
       verifyFirebaseToken,
-      verifyTeacher,
+      validateBody(schemas.addAssignment),
+      verifyClassOwner,
       async (req, res) => {
         const assignmentData = req.body;
         assignmentData.create_at = new Date().toISOString();
 
         try {
           await assignmentCollection.insertOne(assignmentData);
+
+          const students = await enrollCollection
+            .find({
+              classId: assignmentData.classId,
+              status: { $nin: ['revoked', 'disputed'] },
+            })
+            .project({ studentEmail: 1 })
+            .toArray();
+          await notify(
+            students.map((item) => item.studentEmail),
+            {
+              type: 'assignment',
+              title: 'New assignment posted',
+              message: `${assignmentData.title} in ${req.classData.title}`,
+              link: `/dashboard/my-enroll-class-details/${assignmentData.classId}`,
+            }
+          );
           return res
             .status(200)
             .send({ message: 'Assignment saved in db', inserted: false });
@@ -487,7 +2056,7 @@ async function run() {
     app.delete(
       '/my-class-delete/:id',
       verifyFirebaseToken,
-      verifyTeacher,
+      verifyClassOwner,
       async (req, res) => {
         const { id } = req.params;
         // console.log(id);
@@ -515,6 +2084,20 @@ async function run() {
       const result = await classCollection.findOne({
         _id: new ObjectId(id),
       });
+
+      // daily view counter for enrollment conversion analytics
+      if (result) {
+        classViewCollection
+          .updateOne(
+            { classId: id, date: new Date().toISOString().slice(0, 10) },
+            { $inc: { views: 1 } },
+            { upsert: true }
+          )
+          .catch(console.dir);
+        result.ratingSummary = await getRatingStats({ classId: id });
+        result.seats = await getSeatStatus(result);
+        result.localPrice = getClassPrice(result, getPreviewRegion(req));
+      }
       res.send(result);
     });
 
@@ -524,170 +2107,1222 @@ async function run() {
       if (!email) {
         return res.status(400).send({ message: 'Email is required' });
       }
+      // own document only, unless the caller manages users
+      const callerRoles = await loadRoles(req);
+      if (
+        email !== req.decoded.email &&
+        !getPermissions(callerRoles).includes('user:manage')
+      ) {
+        return res.status(403).send({ message: 'Forbidden Access' });
+      }
+
       const result = await usersCollection.findOne({ email });
-      res.send(result);
+      if (!result) {
+        return res.send(result);
+      }
+      const roles = getUserRoles(result);
+      res.send({ ...result, roles, permissions: getPermissions(roles) });
     });
 
     // done: pagination
+    // catalog: search + filter + sort + facet counts for the sidebar
+    // ?search=&category=a,b&teacher=&currency=&minPrice=&maxPrice=&sort=price-asc|price-desc|newest|popular
+    // prices only compare within one currency: the price range is for
+    // ?currency= (default usd) and a price sort groups classes by currency
+    const catalogSort = {
+      'price-asc': { currencyCode: 1, priceNumber: 1, _id: 1 },
+      'price-desc': { currencyCode: 1, priceNumber: -1, _id: 1 },
+      newest: { _id: -1 },
+      popular: { enrolled: -1, _id: 1 },
+    };
+
     app.get('/approved-classes-pagination', async (req, res) => {
-      const pageNo = parseInt(req.query.page);
+      const pageNo = parseInt(req.query.page) || 0;
       const limit = parseInt(req.query.limit) || 6;
       const skip = pageNo * limit;
+      const { search, category, teacher, minPrice, maxPrice, sort } = req.query;
+      const currency = String(
+        req.query.currency || defaultCurrency
+      ).toLowerCase();
+
+      // search narrows the facets, the sidebar filters do not
+      // (regex: stable api strict mode does not allow text indexes)
+      const baseMatch = { status: 'approved' };
+      if (search) {
+        const keyword = {
+          $regex: escapeRegex(String(search).trim()),
+          $options: 'i',
+        };
+        baseMatch.$or = [
+          { title: keyword },
+          { name: keyword },
+          { description: keyword },
+        ];
+      }
+
+      const filter = {};
+      if (category) filter.category = { $in: category.split(',') };
+      if (teacher) filter.email = teacher;
+      if (req.query.currency) filter.currencyCode = currency;
+      if (minPrice || maxPrice) {
+        filter.currencyCode = currency;
+        filter.priceNumber = {};
+        if (minPrice) filter.priceNumber.$gte = Number(minPrice);
+        if (maxPrice) filter.priceNumber.$lte = Number(maxPrice);
+      }
+
+      const sortBy = catalogSort[sort] || { _id: 1 };
+
       try {
-        const query = { status: 'approved' };
-        const total = await classCollection.countDocuments(query); //for filter
-        const result = await classCollection
-          .find(query)
-          .skip(skip)
-          .limit(limit)
+        const [result] = await classCollection
+          .aggregate([
+            { $match: baseMatch },
+            {
+              // price may be saved as string by older clients
+              $addFields: {
+                priceNumber: {
+                  $convert: {
+                    input: '$price',
+                    to: 'double',
+                    onError: 0,
+                    onNull: 0,
+                  },
+                },
+                // classes from before per-class currency are usd
+                currencyCode: { $ifNull: ['$currency', defaultCurrency] },
+              },
+            },
+            {
+              $facet: {
+                data: [
+                  { $match: filter },
+                  { $sort: sortBy },
+                  { $skip: skip },
+                  { $limit: limit },
+                  { $unset: ['priceNumber', 'currencyCode'] },
+                ],
+                total: [{ $match: filter }, { $count: 'count' }],
+                categories: [
+                  { $group: { _id: '$category', count: { $sum: 1 } } },
+                  { $sort: { count: -1 } },
+                ],
+                teachers: [
+                  {
+                    $group: {
+                      _id: '$email',
+                      name: { $first: '$name' },
+                      count: { $sum: 1 },
+                    },
+                  },
+                  { $sort: { count: -1 } },
+                ],
+                currencies: [
+                  {
+                    $group: {
+                      _id: '$currencyCode',
+                      count: { $sum: 1 },
+                      min: { $min: '$priceNumber' },
+                      max: { $max: '$priceNumber' },
+                    },
+                  },
+                  { $sort: { count: -1 } },
+                ],
+              },
+            },
+          ])
           .toArray();
 
+        const total = result.total[0]?.count || 0;
+        const priceRange = result.currencies.find((c) => c._id === currency);
+
         res.send({
           total,
           pageNo,
           totalPages: Math.ceil(total / limit),
-          data: result,
+          data: result.data,
+          facets: {
+            categories: result.categories.map((c) => ({
+              category: c._id,
+              count: c.count,
+            })),
+            teachers: result.teachers.map((t) => ({
+              email: t._id,
+              name: t.name,
+              count: t.count,
+            })),
+            currencies: result.currencies.map((c) => ({
+              currency: c._id,
+              count: c.count,
+              min: c.min,
+              max: c.max,
+            })),
+            priceRange: {
+              currency,
+              min: priceRange?.min || 0,
+              max: priceRange?.max || 0,
+            },
+          },
         });
       } catch (error) {
         res.status(500).send({ message: 'Server Error', error });
       }
     });
 
-    // done: payment --> #6
+    // done: coupon section
+    // check a coupon for this class + student and work out the price
+    // price / currency: what the student pays before discount (regional price)
+    const getCouponPrice = async (
+      code,
+      classData,
+      email,
+      { price, currency } = getClassPrice(classData)
+    ) => {
+      const coupon = await couponCollection.findOne({
+        code: String(code).trim().toUpperCase(),
+        active: true,
+      });
+
+      if (!coupon) {
+        return { error: 'Invalid coupon code' };
+      }
+      if (coupon.classId && coupon.classId !== classData._id.toString()) {
+        return { error: 'Coupon is not valid for this class' };
+      }
+      if (coupon.expire_at && new Date() > new Date(coupon.expire_at)) {
+        return { error: 'Coupon has expired' };
+      }
+      // an unpaid checkout of this class already holds a use for the
+      // student, a retry gets that use back (see reserveCoupon)
+      const reserved = await couponRedemptionCollection.findOne({
+        code: coupon.code,
+        studentEmail: email,
+        classId: classData._id.toString(),
+        status: 'reserved',
+      });
+      const heldUses = reserved ? 1 : 0;
+      if (
+        coupon.usageLimit &&
+        coupon.usedCount - heldUses >= coupon.usageLimit
+      ) {
+        return { error: 'Coupon usage limit reached' };
+      }
+      // fixed amount is money in one currency
+      if (
+        coupon.type === 'fixed' &&
+        (coupon.currency || defaultCurrency) !== currency
+      ) {
+        return { error: 'Coupon is not valid for this currency' };
+      }
+      // uses left for this student (usage + per user limit), a cart
+      // checkout discounts at most this many classes
+      let usesLeft = coupon.usageLimit
+        ? coupon.usageLimit - coupon.usedCount + heldUses
+        : Infinity;
+      if (coupon.perUserLimit) {
+        const usedByUser =
+          (await couponRedemptionCollection.countDocuments({
+            code: coupon.code,
+            studentEmail: email,
+          })) - heldUses;
+        if (usedByUser >= coupon.perUserLimit) {
+          return { error: 'You already used this coupon' };
+        }
+        usesLeft = Math.min(usesLeft, coupon.perUserLimit - usedByUser);
+      }
+
+      const discount =
+        coupon.type === 'percentage'
+          ? roundMoney((price * coupon.value) / 100, currency)
+          : Math.min(coupon.value, price);
+
+      return {
+        coupon,
+        currency,
+        originalPrice: price,
+        discount,
+        finalPrice: roundMoney(price - discount, currency),
+        usesLeft,
+      };
+    };
+
+    // hold one use of a coupon while the student pays, so parallel checkouts
+    // can not all redeem it: usage limit by a conditional $inc, per user
+    // limit by the unique slot row. returns the redemption id, null = no use left
+    const reserveCoupon = async (code, email, classId) => {
+      // retry of an unpaid checkout of the same class: the use it holds
+      // moves to this payment under a new id, so cancelling the old payment
+      // does not release it (the old one, if still paid, counts a plain use)
+      const reserved = await couponRedemptionCollection.findOneAndDelete({
+        code,
+        studentEmail: email,
+        classId,
+        status: 'reserved',
+      });
+      if (reserved) {
+        const movedId = await couponRedemptionCollection
+          .insertOne({
+            code,
+            studentEmail: email,
+            slot: reserved.slot,
+            classId,
+            status: 'reserved',
+            create_at: new Date().toISOString(),
+          })
+          .then((result) => result.insertedId.toString())
+          // slot taken by a parallel use meanwhile, reserve as usual
+          .catch((error) => {
+            if (error.code === 11000) return null;
+            throw error;
+          });
+        if (movedId) return movedId;
+        await couponCollection.updateOne({ code }, { $inc: { usedCount: -1 } });
+      }
+
+      const coupon = await couponCollection.findOneAndUpdate(
+        {
+          code,
+          $expr: {
+            $or: [
+              { $not: ['$usageLimit'] },
+              { $lt: ['$usedCount', '$usageLimit'] },
+            ],
+          },
+        },
+        { $inc: { usedCount: 1 } }
+      );
+      if (!coupon) return null;
+
+      const perUserLimit = coupon.perUserLimit || Infinity;
+      let redemptionId = null;
+      try {
+        for (let slot = 0; !redemptionId && slot < perUserLimit; slot++) {
+          redemptionId = await couponRedemptionCollection
+            .insertOne({
+              code,
+              studentEmail: email,
+              slot,
+              classId,
+              status: 'reserved',
+              create_at: new Date().toISOString(),
+            })
+            .then((result) => result.insertedId.toString())
+            // slot taken by an earlier / parallel use
+            .catch((error) => {
+              if (error.code === 11000) return null;
+              throw error;
+            });
+        }
+      } finally {
+        if (!redemptionId) {
+          await couponCollection.updateOne(
+            { code },
+            { $inc: { usedCount: -1 } }
+          );
+        }
+      }
+      return redemptionId;
+    };
+
+    // give held coupon uses back (payment canceled or never started)
+    // only 'reserved' rows, so a second call is a no-op
+    const releaseCoupons = async (redemptionIds) => {
+      for (const id of redemptionIds) {
+        if (!id || !ObjectId.isValid(id)) continue;
+        const redemption = await couponRedemptionCollection.findOneAndDelete({
+          _id: new ObjectId(id),
+          status: 'reserved',
+        });
+        if (redemption) {
+          await couponCollection.updateOne(
+            { code: redemption.code },
+            { $inc: { usedCount: -1 } }
+          );
+        }
+      }
+    };
+
+    // teacher (own class) or admin (any class / site-wide) create coupon
     app.post(
-      '/create-payment-intent',
+      '/coupons',
       verifyFirebaseToken,
+      verifyPermission('coupon:create'),
+      validateBody(schemas.addCoupon),
       async (req, res) => {
-        const { courseId } = req.body;
+        const { code, type, value, classId, expire_at } = req.body;
+        const usageLimit = req.body.usageLimit || null;
+        const perUserLimit = req.body.perUserLimit || 1;
+        const currency = req.body.currency || defaultCurrency;
 
-        const classData = await classCollection.findOne({
-          _id: new ObjectId(courseId),
-        });
-        if (!classData) {
-          return res
-            .status(404)
-            .send({ message: 'Not found any classData by this class ID' });
+        if (value <= 0 || (type === 'percentage' && value > 100)) {
+          return res.status(400).send({ message: 'Invalid coupon value' });
         }
 
-        const coursePriceCents = classData?.price * 100;
-        // console.log(coursePriceCents);
-
-        // stripe....
         try {
-          const paymentIntent = await stripe.paymentIntents.create({
-            amount: coursePriceCents,
-            currency: 'usd',
-            automatic_payment_methods: {
-              enabled: true,
-            },
+          if (classId) {
+            const classData = ObjectId.isValid(classId)
+              ? await classCollection.findOne({ _id: new ObjectId(classId) })
+              : null;
+            if (!classData) {
+              return res.status(404).send({ message: 'Class not found' });
+            }
+            if (
+              req.role === 'teacher' &&
+              classData.email !== req.decoded.email
+            ) {
+              return res.status(403).send({ message: 'Forbidden Access' });
+            }
+          } else if (req.role !== 'admin') {
+            return res
+              .status(403)
+              .send({ message: 'Only admin can create site-wide coupon' });
+          }
+
+          const couponCode = String(code).trim().toUpperCase();
+          const alreadyExists = await couponCollection.findOne({
+            code: couponCode,
           });
-          // console.log(paymentIntent);
+          if (!!alreadyExists) {
+            return res
+              .status(409)
+              .send({ message: 'Coupon code already exists' });
+          }
 
-          res.send({ clientSecret: paymentIntent.client_secret });
+          const result = await couponCollection.insertOne({
+            code: couponCode,
+            type,
+            value,
+            currency: type === 'fixed' ? currency : null,
+            classId: classId || null,
+            expire_at: expire_at || null,
+            usageLimit,
+            perUserLimit,
+            usedCount: 0,
+            active: true,
+            created_by: req.decoded.email,
+            create_at: new Date().toISOString(),
+          });
+          res.status(201).send(result);
         } catch (error) {
-          res.status(500).json({ error: error.message });
+          console.error('Error creating coupon:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
         }
       }
     );
 
-    // saved enrolled data
-    app.post('/enroll-info', verifyFirebaseToken, async (req, res) => {
-      try {
-        const courseData = req.body;
-        courseData.create_at = new Date().toISOString();
-        // console.log(courseData);
-
-        const result = await enrollCollection.insertOne(courseData);
-        res.status(201).send(result);
-      } catch (error) {
-        res.status(500).send({ message: 'Not inserted data in database' });
+    // teacher: own coupons, admin: all coupons
+    app.get(
+      '/coupons',
+      verifyFirebaseToken,
+      verifyPermission('coupon:create'),
+      async (req, res) => {
+        const query =
+          req.role === 'admin' ? {} : { created_by: req.decoded.email };
+        const result = await couponCollection
+          .find(query)
+          .sort({ create_at: -1 })
+          .toArray();
+        res.send(result);
       }
-    });
+    );
 
-    // update enrolled time
-    app.patch('/enrolled-update/:id', verifyFirebaseToken, async (req, res) => {
-      const { id } = req.params;
-      // console.log(id);
+    // enable / disable a coupon
+    app.patch(
+      '/coupons/:id/status',
+      verifyFirebaseToken,
+      verifyPermission('coupon:create'),
+      validateBody(schemas.couponStatus),
+      async (req, res) => {
+        const { id } = req.params;
+        const { active } = req.body;
 
-      try {
-        const filter = { _id: new ObjectId(id) };
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid coupon id' });
+        }
+        const query = { _id: new ObjectId(id) };
+        if (req.role !== 'admin') query.created_by = req.decoded.email;
 
-        const updateDoc = {
-          $inc: { enrolled: 1 },
-        };
+        try {
+          const result = await couponCollection.updateOne(query, {
+            $set: { active },
+          });
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: 'Coupon not found' });
+          }
+          res.send(result);
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
 
-        const result = await classCollection.updateOne(filter, updateDoc);
-        res.send({ message: 'Enrolled count updated', result });
-      } catch (error) {
-        res.status(500).send({ success: false, message: 'Server error' });
+    // checkout preview of the discounted price
+    app.post('/validate-coupon', verifyFirebaseToken, async (req, res) => {
+      const { code, courseId } = req.body;
+      if (!code || !ObjectId.isValid(courseId)) {
+        return res
+          .status(400)
+          .send({ message: 'Coupon code and class ID are required' });
       }
-    });
 
-    // done: My enroll class -->7
-    app.get('/my-all-classes/:email', verifyFirebaseToken, async (req, res) => {
-      const email = req.params.email;
+      const classData = await classCollection.findOne({
+        _id: new ObjectId(courseId),
+      });
+      if (!classData) {
+        return res
+          .status(404)
+          .send({ message: 'Not found any classData by this class ID' });
+      }
 
-      try {
-        if (!email) {
-          return res.status(400).send({ message: 'Email is required' });
-        }
+      const result = await getCouponPrice(
+        code,
+        classData,
+        req.decoded.email,
+        getClassPrice(classData, getRegion(req))
+      );
+      if (result.error) {
+        return res.status(400).send({ valid: false, message: result.error });
+      }
 
-        const enrollments = await enrollCollection
-          .find({ studentEmail: email })
-          .sort({ create_at: -1 }) // descending order
-          .toArray();
-        if (enrollments.length === 0) {
-          return res
-            .status(404)
-            .json({ message: 'No classes found for this email' });
+      res.send({
+        valid: true,
+        code: result.coupon.code,
+        currency: result.currency,
+        originalPrice: result.originalPrice,
+        discount: result.discount,
+        finalPrice: result.finalPrice,
+      });
+    });
+
+    // done: payment --> #6
+    // every check + price of a single class checkout
+    // shared by the card form (PaymentIntent) and stripe hosted checkout
+    const prepareClassCheckout = async (req) => {
+      const { courseId, couponCode } = req.body;
+      const email = req.decoded.email;
+      if (!ObjectId.isValid(courseId)) {
+        return { error: 400, body: { message: 'Invalid class id' } };
+      }
+
+      // pending / rejected classes can not be bought
+      const classData = await classCollection.findOne({
+        _id: new ObjectId(courseId),
+        status: 'approved',
+      });
+      if (!classData) {
+        return {
+          error: 404,
+          body: { message: 'Not found any classData by this class ID' },
+        };
+      }
+      if (classData.email === email) {
+        return {
+          error: 400,
+          body: { message: 'You can not buy your own class' },
+        };
+      }
+      if (await findOwnedEnrollment(courseId, email)) {
+        return {
+          error: 409,
+          body: { message: 'You are already enrolled in this class' },
+        };
+      }
+      const seats = await getSeatStatus(classData, email);
+      if (!seats.open) {
+        return { error: 409, body: { message: seats.reason, ...seats } };
+      }
+
+      let { price, currency } = getClassPrice(classData, getRegion(req));
+      let coupon = null;
+      if (couponCode) {
+        const result = await getCouponPrice(couponCode, classData, email, {
+          price,
+          currency,
+        });
+        if (result.error) {
+          return { error: 400, body: { message: result.error } };
+        }
+        price = result.finalPrice;
+        coupon = { code: result.coupon.code, discount: result.discount };
+      }
+
+      // stripe minimum charge (e.g. 50 cents)
+      if (price < currencies[currency].min) {
+        return {
+          error: 400,
+          body: { message: 'Price is below the minimum payable amount' },
+        };
+      }
+
+      // the seat check above is only a hint, this one is atomic
+      if (!(await holdSeat(classData, email))) {
+        return { error: 409, body: { message: 'Class is full', full: true } };
+      }
+      const redemptionId = coupon
+        ? await reserveCoupon(coupon.code, email, courseId)
+        : null;
+      if (coupon && !redemptionId) {
+        return { error: 400, body: { message: 'Coupon usage limit reached' } };
+      }
+
+      return {
+        classData,
+        price,
+        currency,
+        coupon,
+        // read back by the webhook to create the enrollment
+        metadata: {
+          classId: classData._id.toString(),
+          studentEmail: email,
+          studentName: req.decoded.name || '',
+          teacherEmail: classData.email || '',
+          couponCode: coupon?.code || '',
+          discount: coupon?.discount || 0,
+          couponRedemptionId: redemptionId || '',
+        },
+      };
+    };
+
+    app.post(
+      '/create-payment-intent',
+      verifyFirebaseToken,
+      async (req, res) => {
+        const checkout = await prepareClassCheckout(req);
+        if (checkout.error) {
+          return res.status(checkout.error).send(checkout.body);
+        }
+        const { price, currency, coupon, metadata } = checkout;
+
+        // stripe....
+        try {
+          const paymentIntent = await stripe.paymentIntents.create({
+            amount: toMinorUnit(price, currency),
+            currency,
+            automatic_payment_methods: {
+              enabled: true,
+            },
+            metadata,
+          });
+          // console.log(paymentIntent);
+
+          res.send({
+            clientSecret: paymentIntent.client_secret,
+            amount: price,
+            currency,
+            coupon,
+          });
+        } catch (error) {
+          await releaseCoupons([metadata.couponRedemptionId]);
+          res.status(500).json({ error: error.message });
         }
+      }
+    );
+
+    // classes paid by a PaymentIntent
+    // metadata.classId -> single class, metadata.checkoutId -> cart checkout
+    const getPaymentItems = async (paymentIntent) => {
+      const {
+        classId,
+        checkoutId,
+        teacherEmail,
+        couponCode,
+        discount,
+        couponRedemptionId,
+      } = paymentIntent.metadata || {};
+
+      if (checkoutId && ObjectId.isValid(checkoutId)) {
+        const checkout = await checkoutCollection.findOne({
+          _id: new ObjectId(checkoutId),
+        });
+        return checkout?.items || [];
+      }
+      if (classId && ObjectId.isValid(classId)) {
+        return [
+          {
+            classId,
+            teacherEmail: teacherEmail || null,
+            amount: fromMinorUnit(
+              paymentIntent.amount_received,
+              paymentIntent.currency
+            ),
+            coupon: couponCode
+              ? {
+                  code: couponCode,
+                  discount: Number(discount),
+                  redemptionId: couponRedemptionId || null,
+                }
+              : null,
+          },
+        ];
+      }
+      return [];
+    };
+
+    // coupon uses held by a payment that will not be paid any more
+    // (PaymentIntent canceled / Checkout Session expired, same metadata)
+    const releasePaymentCoupons = async ({ metadata }) => {
+      const { checkoutId, couponRedemptionId } = metadata || {};
+      if (checkoutId && ObjectId.isValid(checkoutId)) {
+        const checkout = await checkoutCollection.findOne({
+          _id: new ObjectId(checkoutId),
+        });
+        return releaseCoupons(
+          (checkout?.items || []).map((item) => item.coupon?.redemptionId)
+        );
+      }
+      return releaseCoupons([couponRedemptionId]);
+    };
 
-        res.status(200).json(enrollments);
+    // why the webhook gives money back instead of enrolling
+    const refundReasons = {
+      'duplicate-enrollment': {
+        title: 'Duplicate payment refunded',
+        message: (titles) =>
+          `You already own ${titles}, the payment was refunded`,
+      },
+      'class-full': {
+        title: 'Class was full',
+        message: (titles) =>
+          `${titles} filled up before your payment went through, the payment was refunded`,
+      },
+    };
+
+    // give back the money of classes the student can not be enrolled in
+    // idempotency key keeps a redelivered webhook from refunding twice
+    const refundPaymentItems = async (paymentIntent, items, email, reason) => {
+      const refundMinor = items.reduce(
+        (sum, item) => sum + toMinorUnit(item.amount, paymentIntent.currency),
+        0
+      );
+      try {
+        const refund = await stripe.refunds.create(
+          {
+            payment_intent: paymentIntent.id,
+            amount: refundMinor,
+            metadata: { reason },
+          },
+          { idempotencyKey: `${reason}-${paymentIntent.id}` }
+        );
+        await paymentCollection.updateOne(
+          {
+            paymentIntentId: paymentIntent.id,
+            'refunds.refundId': { $ne: refund.id },
+          },
+          {
+            $push: {
+              refunds: {
+                refundId: refund.id,
+                amount: fromMinorUnit(refundMinor, paymentIntent.currency),
+                reason,
+                refunded_by: 'system',
+                create_at: new Date().toISOString(),
+              },
+            },
+          }
+        );
+        await notify(email, {
+          type: 'refund',
+          title: refundReasons[reason].title,
+          message: refundReasons[reason].message(
+            items.map((item) => item.title).join(', ')
+          ),
+          link: '/dashboard/my-payments',
+        });
       } catch (error) {
-        console.error('Error fetching classes:', error);
-        res
-          .status(500)
-          .json({ message: 'Internal Server Error', error: error.message });
+        console.error(`Refund (${reason}) failed:`, error.message);
       }
-    });
+      await releaseCoupons(items.map((item) => item.coupon?.redemptionId));
+    };
 
-    // assignment get
-    app.get('/assignment-get/:id', verifyFirebaseToken, async (req, res) => {
-      const { id } = req.params;
-      // console.log(id);
+    // create enrolled records + bump class enrolled counts in one transaction
+    // keyed by paymentIntentId + classId, so a repeated webhook delivery is a no-op
+    const enrollFromPaymentIntent = async (paymentIntent) => {
+      const { studentEmail, studentName, checkoutId } =
+        paymentIntent.metadata || {};
+      const items = await getPaymentItems(paymentIntent);
+      if (!items.length || !studentEmail) {
+        return { inserted: false, reason: 'missing metadata' };
+      }
+
+      const classes = await classCollection
+        .find({ _id: { $in: items.map((item) => new ObjectId(item.classId)) } })
+        .toArray();
+      if (!classes.length) {
+        return { inserted: false, reason: 'class not found' };
+      }
+
+      let enrolledClasses = [];
+      let duplicates = [];
+      let full = [];
+      const session = client.startSession();
       try {
-        if (!id) {
-          return res.status(400).send({ message: 'Email is required' });
+        await session.withTransaction(async () => {
+          // the callback can be retried, start clean every time
+          enrolledClasses = [];
+          duplicates = [];
+          full = [];
+          for (const item of items) {
+            const classData = classes.find(
+              (c) => c._id.toString() === item.classId
+            );
+            if (!classData) continue;
+
+            // paid twice for an owned class (e.g. two open tabs) -> refund it
+            // a concurrent delivery is stopped by the unique index and retried
+            const owned = await findOwnedEnrollment(
+              item.classId,
+              studentEmail,
+              session
+            );
+            if (owned && owned.paymentIntentId !== paymentIntent.id) {
+              duplicates.push({ ...item, title: classData.title });
+              continue;
+            }
+
+            // already enrolled by this payment (redelivered webhook)
+            const existing = await enrollCollection.findOne(
+              { paymentIntentId: paymentIntent.id, classId: item.classId },
+              { session }
+            );
+            if (existing) continue;
+
+            // take the seat, unless enrolled + other students' live holds
+            // already fill the class (the student's hold expired and the
+            // seat went to someone else) -> refund it
+            const held = classData.seatLimit
+              ? await countSeatHolds(item.classId, studentEmail, session)
+              : 0;
+            const seated = await classCollection.updateOne(
+              {
+                _id: classData._id,
+                ...(classData.seatLimit && {
+                  $expr: {
+                    $lt: [
+                      { $add: [{ $ifNull: ['$enrolled', 0] }, held] },
+                      '$seatLimit',
+                    ],
+                  },
+                }),
+              },
+              { $inc: { enrolled: 1 } },
+              { session }
+            );
+            if (!seated.modifiedCount) {
+              full.push({ ...item, title: classData.title });
+              continue;
+            }
+
+            const result = await enrollCollection.updateOne(
+              { paymentIntentId: paymentIntent.id, classId: item.classId },
+              {
+                $setOnInsert: {
+                  classId: item.classId,
+                  title: classData.title,
+                  image: classData.image,
+                  teacherName: classData.name,
+                  teacherEmail: classData.email,
+                  studentEmail,
+                  studentName,
+                  paymentIntentId: paymentIntent.id,
+                  amount: item.amount,
+                  currency: paymentIntent.currency,
+                  coupon: item.coupon || null,
+                  status: 'active',
+                  create_at: new Date().toISOString(),
+                },
+              },
+              { upsert: true, session }
+            );
+            // enrolled by a parallel delivery, abort (the seat was taken
+            // above) and let stripe redeliver
+            if (result.upsertedCount !== 1) {
+              throw new Error('Enrollment already exists');
+            }
+
+            enrolledClasses.push(classData);
+            // the coupon use held at checkout is final now
+            // (no hold: older payment or released early, count it here)
+            if (item.coupon?.code) {
+              const held = item.coupon.redemptionId
+                ? await couponRedemptionCollection.updateOne(
+                    {
+                      _id: new ObjectId(item.coupon.redemptionId),
+                      status: 'reserved',
+                    },
+                    {
+                      $set: {
+                        status: 'redeemed',
+                        paymentIntentId: paymentIntent.id,
+                      },
+                    },
+                    { session }
+                  )
+                : null;
+              if (!held?.matchedCount) {
+                await couponCollection.updateOne(
+                  { code: item.coupon.code },
+                  { $inc: { usedCount: 1 } },
+                  { session }
+                );
+              }
+            }
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      if (duplicates.length) {
+        await refundPaymentItems(
+          paymentIntent,
+          duplicates,
+          studentEmail,
+          'duplicate-enrollment'
+        );
+      }
+      if (full.length) {
+        await refundPaymentItems(
+          paymentIntent,
+          full,
+          studentEmail,
+          'class-full'
+        );
+      }
+
+      if (enrolledClasses.length) {
+        const classIds = enrolledClasses.map((c) => c._id.toString());
+        const titles = enrolledClasses.map((c) => c.title).join(', ');
+
+        // bought classes leave the cart and wishlist
+        if (checkoutId) {
+          await checkoutCollection.updateOne(
+            { _id: new ObjectId(checkoutId) },
+            {
+              $set: { status: 'paid', paid_at: new Date().toISOString() },
+            }
+          );
         }
+        await cartCollection.deleteMany({
+          studentEmail,
+          classId: { $in: classIds },
+        });
+        await wishlistCollection.deleteMany({
+          studentEmail,
+          classId: { $in: classIds },
+        });
+        // the held seat is now a real one
+        await seatCollection.deleteMany({
+          studentEmail,
+          classId: { $in: classIds },
+        });
+        await waitlistCollection.updateMany(
+          {
+            studentEmail,
+            classId: { $in: classIds },
+            status: { $in: ['waiting', 'offered'] },
+          },
+          { $set: { status: 'enrolled', update_at: new Date().toISOString() } }
+        );
 
-        const assignmentData = await assignmentCollection
-          .find({ classId: id })
-          .sort({ create_at: -1 }) // descending order
+        const payment = await paymentCollection.findOne({
+          paymentIntentId: paymentIntent.id,
+        });
+        await enqueueEmail('enrollmentReceipt', studentEmail, {
+          title: titles,
+          amount: fromMinorUnit(
+            paymentIntent.amount_received,
+            paymentIntent.currency
+          ),
+          currency: paymentIntent.currency,
+          paymentIntentId: paymentIntent.id,
+          receiptUrl: payment?.receiptUrl,
+        });
+        await notify(studentEmail, {
+          type: 'enrollment',
+          title: 'Enrollment confirmed',
+          message: `You are enrolled in ${titles}`,
+          link: '/dashboard/my-enroll-class',
+        });
+        for (const classData of enrolledClasses) {
+          await notify(classData.email, {
+            type: 'enrollment',
+            title: 'New enrollment',
+            message: `${studentName || studentEmail} enrolled in ${classData.title}`,
+            link: '/dashboard/my-class',
+          });
+        }
+      }
+
+      return { inserted: enrolledClasses.length > 0 };
+    };
+
+    // done: payments ledger
+    // ledger row per PaymentIntent, written from stripe events only
+    const recordPayment = async (paymentIntent) => {
+      const { classId, checkoutId, studentEmail, teacherEmail } =
+        paymentIntent.metadata || {};
+      const { commissionRate } = await getPlatformSettings();
+      // a cart payment is split per class / teacher for earnings
+      const items = checkoutId
+        ? (await getPaymentItems(paymentIntent)).map((item) => ({
+            classId: item.classId,
+            teacherEmail: item.teacherEmail,
+            amount: item.amount,
+          }))
+        : null;
+
+      let charge = null;
+      if (typeof paymentIntent.latest_charge === 'string') {
+        try {
+          charge = await stripe.charges.retrieve(paymentIntent.latest_charge, {
+            expand: ['balance_transaction'],
+          });
+        } catch (error) {
+          console.error('Charge retrieve failed:', error.message);
+        }
+      }
+      // paid currency -> stripe account currency, reports are summed in that
+      const balance = charge?.balance_transaction;
+      const exchangeRate = balance?.amount
+        ? fromMinorUnit(balance.amount, balance.currency) /
+          fromMinorUnit(charge.amount, charge.currency)
+        : 1;
+
+      await paymentCollection.updateOne(
+        { paymentIntentId: paymentIntent.id },
+        {
+          $setOnInsert: {
+            paymentIntentId: paymentIntent.id,
+            chargeId: charge?.id || paymentIntent.latest_charge || null,
+            classId: classId || null,
+            studentEmail: studentEmail || null,
+            teacherEmail: teacherEmail || null,
+            items,
+            // rate at payment time, later changes do not rewrite history
+            commissionRate,
+            amount: fromMinorUnit(
+              paymentIntent.amount_received,
+              paymentIntent.currency
+            ),
+            currency: paymentIntent.currency,
+            exchangeRate,
+            settlementCurrency: balance?.currency || paymentIntent.currency,
+            receiptUrl: charge?.receipt_url || null,
+            status: 'succeeded',
+            refundedAmount: 0,
+            refunds: [],
+            create_at: new Date().toISOString(),
+          },
+        },
+        { upsert: true }
+      );
+    };
+
+    // revoke access and give the seat back (no-op when already revoked)
+    // classId limits it to one class of a cart payment
+    const revokeEnrollment = async (paymentIntentId, reason, classId) => {
+      const query = { paymentIntentId, status: { $ne: 'revoked' } };
+      if (classId) query.classId = classId;
+
+      let revoked = 0;
+      const enrollments = await enrollCollection.find(query).toArray();
+      for (const item of enrollments) {
+        const enrollment = await enrollCollection.findOneAndUpdate(
+          { _id: item._id, status: { $ne: 'revoked' } },
+          {
+            $set: {
+              status: 'revoked',
+              revoke_reason: reason,
+              revoked_at: new Date().toISOString(),
+            },
+          }
+        );
+        if (enrollment) {
+          await classCollection.updateOne(
+            { _id: new ObjectId(enrollment.classId) },
+            { $inc: { enrolled: -1 } }
+          );
+          await offerFreeSeats(enrollment.classId);
+          revoked += 1;
+        }
+      }
+      return revoked > 0;
+    };
+
+    // charge.refunded: full refund revokes, partial keeps the enrollment
+    const handleChargeRefunded = async (charge) => {
+      const paymentIntentId = charge.payment_intent;
+      await paymentCollection.updateOne(
+        { paymentIntentId },
+        {
+          $set: {
+            refundedAmount: fromMinorUnit(
+              charge.amount_refunded,
+              charge.currency
+            ),
+            status: charge.refunded ? 'refunded' : 'partially-refunded',
+            update_at: new Date().toISOString(),
+          },
+        }
+      );
+      if (charge.refunded) {
+        await revokeEnrollment(paymentIntentId, 'refunded');
+      }
+    };
+
+    // dispute opened: freeze access until it is closed
+    const handleDispute = async (dispute, type) => {
+      const paymentIntentId = dispute.payment_intent;
+      const now = new Date().toISOString();
+
+      if (type === 'charge.dispute.created') {
+        await paymentCollection.updateOne(
+          { paymentIntentId },
+          {
+            $set: {
+              status: 'disputed',
+              dispute: {
+                id: dispute.id,
+                reason: dispute.reason,
+                create_at: now,
+              },
+              update_at: now,
+            },
+          }
+        );
+        await enrollCollection.updateMany(
+          { paymentIntentId, status: 'active' },
+          { $set: { status: 'disputed' } }
+        );
+        return;
+      }
+
+      // charge.dispute.closed
+      const won = dispute.status === 'won';
+      await paymentCollection.updateOne(
+        { paymentIntentId },
+        {
+          $set: {
+            status: won ? 'succeeded' : 'dispute-lost',
+            'dispute.status': dispute.status,
+            'dispute.closed_at': now,
+            update_at: now,
+          },
+        }
+      );
+      if (won) {
+        await enrollCollection.updateMany(
+          { paymentIntentId, status: 'disputed' },
+          { $set: { status: 'active' } }
+        );
+      } else {
+        await revokeEnrollment(paymentIntentId, 'dispute-lost');
+      }
+    };
+
+    // stripe webhook (raw body is kept by express.json verify)
+    // local: stripe listen --forward-to localhost:3000/stripe/webhook
+    app.post('/stripe/webhook', async (req, res) => {
+      const signature = req.headers['stripe-signature'];
+
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          signature,
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
+      } catch (error) {
+        console.error('Webhook signature failed:', error.message);
+        return res.status(400).send({ message: 'Webhook Error' });
+      }
+
+      try {
+        switch (event.type) {
+          case 'payment_intent.succeeded': {
+            await recordPayment(event.data.object);
+            const result = await enrollFromPaymentIntent(event.data.object);
+            if (result.reason) {
+              console.log(`Skipped ${event.id}: ${result.reason}`);
+            }
+            break;
+          }
+          // never paid: held coupon uses go back
+          case 'payment_intent.canceled':
+          case 'checkout.session.expired':
+            await releasePaymentCoupons(event.data.object);
+            break;
+          case 'charge.refunded':
+            await handleChargeRefunded(event.data.object);
+            break;
+          case 'charge.dispute.created':
+          case 'charge.dispute.closed':
+            await handleDispute(event.data.object, event.type);
+            break;
+        }
+        res.send({ received: true });
+      } catch (error) {
+        // non 2xx -> stripe will retry the delivery
+        console.error('Webhook handler failed:', error);
+        res.status(500).send({ message: 'Webhook handler failed' });
+      }
+    });
+
+    // client poll after confirmCardPayment until webhook has enrolled
+    app.get(
+      '/enroll-status/:paymentIntentId',
+      verifyFirebaseToken,
+      async (req, res) => {
+        const { paymentIntentId } = req.params;
+        // a cart checkout has one record per class
+        const enrollments = await enrollCollection
+          .find({ paymentIntentId, studentEmail: req.decoded.email })
           .toArray();
+        res.send({
+          enrolled: enrollments.length > 0,
+          enrollment: enrollments[0] || null,
+          enrollments,
+        });
+      }
+    );
 
-        res.status(200).json(assignmentData);
+    // student payment history with stripe receipts
+    app.get('/my-payments', verifyFirebaseToken, async (req, res) => {
+      try {
+        const result = await paymentCollection
+          .find({ studentEmail: req.decoded.email })
+          .sort({ create_at: -1 })
+          .toArray();
+        res.status(200).json(result);
       } catch (error) {
-        console.error('Error fetching classes:', error);
+        console.error('Error fetching payments:', error);
         res
           .status(500)
           .json({ message: 'Internal Server Error', error: error.message });
       }
     });
 
-    // done: for assignment  ---> #8
+    // admin: all payments (filter by status / student email)
     app.get(
-      '/get-class-for-assignment/:id',
+      '/all-payments',
       verifyFirebaseToken,
+      verifyPermission('payment:manage'),
       async (req, res) => {
-        const { id } = req.params;
+        const { status, email } = req.query;
+        const query = {};
+        if (status) query.status = status;
+        if (email) query.studentEmail = email;
 
         try {
-          const result = await classCollection.findOne({
-            _id: new ObjectId(id),
-          });
-          res.json(result);
+          const result = await paymentCollection
+            .find(query)
+            .sort({ create_at: -1 })
+            .toArray();
+          res.status(200).json(result);
         } catch (error) {
-          console.error('Error fetching classes:', error);
+          console.error('Error fetching payments:', error);
           res
             .status(500)
             .json({ message: 'Internal Server Error', error: error.message });
@@ -695,35 +3330,305 @@ async function run() {
       }
     );
 
-    // done: TER section  ---> #9
-    // assignment post
-    app.post('/ter-review', async (req, res) => {
-      const postData = req.body;
-      try {
-        postData.create_at = new Date().toISOString();
-        // console.log(courseData);
-        const result = await reportCollection.insertOne(postData);
-        res.status(201).send(result);
-      } catch (error) {
-        res.status(500).send({ message: 'Not inserted data in database' });
+    // admin: full or partial refund
+    // policy: full refund revokes enrollment, partial keeps it unless revoke=true
+    // classId: revoke only that class of a cart payment
+    app.post(
+      '/refund-payment/:paymentIntentId',
+      verifyFirebaseToken,
+      verifyPermission('payment:manage'),
+      validateBody(schemas.refundPayment),
+      async (req, res) => {
+        const { paymentIntentId } = req.params;
+        const { amount, reason, revoke, classId } = req.body;
+
+        try {
+          const payment = await paymentCollection.findOne({ paymentIntentId });
+          if (!payment) {
+            return res.status(404).send({ message: 'Payment not found' });
+          }
+
+          // compare in minor units to avoid float drift
+          const { currency } = payment;
+          const remainingMinor = toMinorUnit(
+            payment.amount - payment.refundedAmount,
+            currency
+          );
+          const refundMinor =
+            amount === undefined
+              ? remainingMinor
+              : toMinorUnit(amount, currency);
+          if (isNaN(refundMinor) || refundMinor <= 0) {
+            return res.status(400).send({ message: 'Invalid refund amount' });
+          }
+          if (refundMinor > remainingMinor) {
+            return res.status(400).send({
+              message: `Only ${fromMinorUnit(remainingMinor, currency)} ${currency.toUpperCase()} can be refunded`,
+            });
+          }
+          const refundAmount = fromMinorUnit(refundMinor, currency);
+
+          const refund = await stripe.refunds.create({
+            payment_intent: paymentIntentId,
+            amount: refundMinor,
+            metadata: { refunded_by: req.decoded.email, reason: reason || '' },
+          });
+
+          // totals/status are synced by the charge.refunded webhook
+          await paymentCollection.updateOne(
+            { paymentIntentId },
+            {
+              $push: {
+                refunds: {
+                  refundId: refund.id,
+                  amount: refundAmount,
+                  reason: reason || null,
+                  refunded_by: req.decoded.email,
+                  create_at: new Date().toISOString(),
+                },
+              },
+            }
+          );
+
+          const isFullRefund = refundMinor === remainingMinor;
+          let revoked = false;
+          if (isFullRefund) {
+            revoked = await revokeEnrollment(paymentIntentId, 'refunded');
+          } else if (revoke === true) {
+            revoked = await revokeEnrollment(
+              paymentIntentId,
+              'refunded',
+              classId
+            );
+          }
+
+          res.send({ message: 'Refund created', refundId: refund.id, revoked });
+        } catch (error) {
+          console.error('Refund Error:', error);
+          res
+            .status(500)
+            .send({ message: 'Refund failed', error: error.message });
+        }
       }
-    });
+    );
 
-    // get ter report by teacher email
-    app.get('/get-ter-report/:email', async (req, res) => {
+    // completed lessons / total lessons of a class, in percent
+    const getCompletion = async (classId, email) => {
+      const totalLesson = await lessonCollection.countDocuments({ classId });
+      const completedLesson = await lessonProgressCollection.countDocuments({
+        classId,
+        studentEmail: email,
+      });
+      return {
+        totalLesson,
+        completedLesson,
+        completion: totalLesson
+          ? Math.round((completedLesson / totalLesson) * 100)
+          : 0,
+      };
+    };
+
+    // done: My enroll class -->7
+    app.get('/my-all-classes/:email', verifyFirebaseToken, async (req, res) => {
       const email = req.params.email;
-      // console.log('Requested TER for:', email);
+
       try {
         if (!email) {
           return res.status(400).send({ message: 'Email is required' });
         }
+        if (email !== req.decoded.email) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
 
-        const result = await reportCollection
-          .find({ teacherMail: email })
-          .sort({ createdAt: -1 })
+        const enrollments = await enrollCollection
+          .find({ studentEmail: email })
+          .sort({ create_at: -1 }) // descending order
           .toArray();
+        if (enrollments.length === 0) {
+          return res
+            .status(404)
+            .json({ message: 'No classes found for this email' });
+        }
 
-        res.status(200).json(result);
+        const result = await Promise.all(
+          enrollments.map(async (enrollment) => ({
+            ...enrollment,
+            ...(await getCompletion(enrollment.classId, email)),
+          }))
+        );
+
+        res.status(200).json(result);
+      } catch (error) {
+        console.error('Error fetching classes:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // assignment get
+    app.get(
+      '/assignment-get/:id',
+      verifyFirebaseToken,
+      verifyClassAccess,
+      async (req, res) => {
+        const { id } = req.params;
+        // console.log(id);
+        try {
+          if (!id) {
+            return res.status(400).send({ message: 'Email is required' });
+          }
+
+          const assignmentData = await assignmentCollection
+            .find({ classId: id })
+            .sort({ create_at: -1 }) // descending order
+            .toArray();
+
+          res.status(200).json(assignmentData);
+        } catch (error) {
+          console.error('Error fetching classes:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // done: for assignment  ---> #8
+    app.get(
+      '/get-class-for-assignment/:id',
+      verifyFirebaseToken,
+      verifyClassAccess,
+      async (req, res) => {
+        const { id } = req.params;
+
+        try {
+          const result = await classCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          res.json(result);
+        } catch (error) {
+          console.error('Error fetching classes:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // done: TER section  ---> #9
+    // hidden reviews are left out of every public read
+    const visibleReport = { hidden: { $ne: true } };
+
+    // average + 1..5 star distribution
+    const getRatingStats = async (match) => {
+      const stats = await reportCollection
+        .aggregate([
+          { $match: { ...match, ...visibleReport } },
+          { $group: { _id: '$rating', count: { $sum: 1 } } },
+        ])
+        .toArray();
+
+      const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      let total = 0;
+      let sum = 0;
+      stats.forEach((item) => {
+        distribution[Math.round(item._id)] += item.count;
+        total += item.count;
+        sum += item._id * item.count;
+      });
+
+      return {
+        average: total ? Math.round((sum / total) * 10) / 10 : 0,
+        total,
+        distribution,
+      };
+    };
+
+    // student post or edit own TER (one per class)
+    app.post(
+      '/ter-review',
+      verifyFirebaseToken,
+      validateBody(schemas.terReview),
+      async (req, res) => {
+        const postData = req.body;
+        const email = req.decoded.email;
+        try {
+          const enrolled = await findActiveEnrollment(postData.classId, email);
+          if (!enrolled) {
+            return res
+              .status(403)
+              .send({ message: 'You are not enrolled in this class' });
+          }
+
+          const classData = await classCollection.findOne({
+            _id: new ObjectId(postData.classId),
+          });
+          if (!classData) {
+            return res.status(404).send({ message: 'Class not found' });
+          }
+
+          const query = { classId: postData.classId, studentEmail: email };
+          const alreadyReviewed = await reportCollection.findOne(query);
+          if (!!alreadyReviewed) {
+            await reportCollection.updateOne(query, {
+              $set: {
+                rating: postData.rating,
+                description: postData.description,
+                update_at: new Date().toISOString(),
+              },
+            });
+            return res
+              .status(200)
+              .send({ message: 'Review updated', inserted: false });
+          }
+
+          postData.title = classData.title;
+          postData.teacherMail = classData.email;
+          postData.studentEmail = email;
+          postData.name = req.decoded.name || null;
+          postData.image = req.decoded.picture || null;
+          postData.hidden = false;
+          postData.flags = [];
+          postData.create_at = new Date().toISOString();
+          // console.log(courseData);
+          const result = await reportCollection.insertOne(postData);
+          res.status(201).send(result);
+        } catch (error) {
+          res.status(500).send({ message: 'Not inserted data in database' });
+        }
+      }
+    );
+
+    // student own TER of a class (to prefill edit form)
+    app.get(
+      '/my-ter-review/:classId',
+      verifyFirebaseToken,
+      async (req, res) => {
+        const result = await reportCollection.findOne({
+          classId: req.params.classId,
+          studentEmail: req.decoded.email,
+        });
+        res.send(result);
+      }
+    );
+
+    // get ter report by teacher email
+    app.get('/get-ter-report/:email', async (req, res) => {
+      const email = req.params.email;
+      // console.log('Requested TER for:', email);
+      try {
+        if (!email) {
+          return res.status(400).send({ message: 'Email is required' });
+        }
+
+        const result = await reportCollection
+          .find({ teacherMail: email, ...visibleReport })
+          .project({ studentEmail: 0, flags: 0 })
+          .sort({ create_at: -1 })
+          .toArray();
+
+        res.status(200).json(result);
       } catch (error) {
         console.error('Error fetching TER reports:', error);
         res
@@ -732,6 +3637,4365 @@ async function run() {
       }
     });
 
+    // public rating stats
+    app.get('/ter-stats/class/:classId', async (req, res) => {
+      res.send(await getRatingStats({ classId: req.params.classId }));
+    });
+
+    app.get('/ter-stats/teacher/:email', async (req, res) => {
+      res.send(await getRatingStats({ teacherMail: req.params.email }));
+    });
+
+    // any logged in user can report an abusive review
+    app.post(
+      '/ter-flag/:id',
+      verifyFirebaseToken,
+      validateBody(schemas.terFlag),
+      async (req, res) => {
+        const { id } = req.params;
+        const { reason } = req.body;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid review id' });
+        }
+
+        const result = await reportCollection.updateOne(
+          { _id: new ObjectId(id), 'flags.email': { $ne: req.decoded.email } },
+          {
+            $push: {
+              flags: {
+                email: req.decoded.email,
+                reason: reason || null,
+                create_at: new Date().toISOString(),
+              },
+            },
+          }
+        );
+        if (result.matchedCount === 0) {
+          return res
+            .status(409)
+            .send({ message: 'Review not found or already flagged' });
+        }
+        res.send({ message: 'Review flagged' });
+      }
+    );
+
+    // admin: flagged / hidden reviews queue
+    app.get(
+      '/ter-moderation',
+      verifyFirebaseToken,
+      verifyPermission('ter:moderate'),
+      async (req, res) => {
+        const result = await reportCollection
+          .find({ $or: [{ 'flags.0': { $exists: true } }, { hidden: true }] })
+          .sort({ create_at: -1 })
+          .toArray();
+        res.send(result);
+      }
+    );
+
+    // admin: hide / unhide / clear flags
+    app.patch(
+      '/ter-moderate/:id',
+      verifyFirebaseToken,
+      verifyPermission('ter:moderate'),
+      validateBody(schemas.terModerate),
+      async (req, res) => {
+        const { id } = req.params;
+        const { action, reason } = req.body;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid review id' });
+        }
+
+        const updates = {
+          hide: { hidden: true },
+          unhide: { hidden: false },
+          'clear-flags': { flags: [] },
+        };
+        if (!updates[action]) {
+          return res
+            .status(400)
+            .send({ message: 'Action must be hide, unhide or clear-flags' });
+        }
+
+        try {
+          const result = await reportCollection.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $set: {
+                ...updates[action],
+                moderation: {
+                  action,
+                  reason: reason || null,
+                  by: req.decoded.email,
+                  at: new Date().toISOString(),
+                },
+              },
+            }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: 'Review not found' });
+          }
+          res.send(result);
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    // done: assignment submission & grading ---> #10
+    // one student's assignment/submission summary inside a class
+    const getStudentProgress = async (classId, email) => {
+      const assignments = await assignmentCollection
+        .find({ classId })
+        .sort({ create_at: 1 })
+        .toArray();
+      const submissions = await submissionCollection
+        .find({ classId, studentEmail: email })
+        .toArray();
+
+      const graded = submissions.filter((item) => item.status === 'graded');
+      const totalMark = graded.reduce((sum, item) => sum + item.mark, 0);
+
+      return {
+        classId,
+        studentEmail: email,
+        totalAssignment: assignments.length,
+        submitted: submissions.length,
+        graded: graded.length,
+        averageMark: graded.length ? totalMark / graded.length : 0,
+        progress: assignments.length
+          ? Math.round((submissions.length / assignments.length) * 100)
+          : 0,
+        assignments: assignments.map((assignment) => {
+          const submission = submissions.find(
+            (item) => item.assignmentId === assignment._id.toString()
+          );
+          return {
+            assignmentId: assignment._id,
+            title: assignment.title,
+            deadline: assignment.deadline || null,
+            status: submission ? submission.status : 'not-submitted',
+            mark: submission?.mark ?? null,
+            feedback: submission?.feedback || null,
+          };
+        }),
+      };
+    };
+
+    // student submit (or resubmit) an assignment
+    app.post(
+      '/submit-assignment/:id',
+      verifyFirebaseToken,
+      validateBody(schemas.submitAssignment),
+      async (req, res) => {
+        const { id } = req.params;
+        const { answer } = req.body;
+        const email = req.decoded.email;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid assignment id' });
+        }
+
+        try {
+          const assignment = await assignmentCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!assignment) {
+            return res.status(404).send({ message: 'Assignment not found' });
+          }
+
+          const enrolled = await findActiveEnrollment(
+            assignment.classId,
+            email
+          );
+          if (!enrolled) {
+            return res
+              .status(403)
+              .send({ message: 'You are not enrolled in this class' });
+          }
+
+          // deadline: late submission only when the teacher allowed it
+          const isLate =
+            !!assignment.deadline && new Date() > new Date(assignment.deadline);
+          if ((isLate && !assignment.allowLate) || assignment.closed) {
+            return res.status(403).send({ message: 'Deadline is over' });
+          }
+
+          const now = new Date().toISOString();
+          const status = isLate ? 'late' : 'submitted';
+          const query = { assignmentId: id, studentEmail: email };
+          const alreadySubmitted = await submissionCollection.findOne(query);
+
+          if (!!alreadySubmitted) {
+            // resubmission allowed until the teacher grades it
+            if (alreadySubmitted.status === 'graded') {
+              return res
+                .status(409)
+                .send({ message: 'Already graded, resubmission closed' });
+            }
+            await submissionCollection.updateOne(query, {
+              $set: { answer, status, update_at: now },
+              $inc: { attempt: 1 },
+            });
+            return res
+              .status(200)
+              .send({ message: 'Submission updated', inserted: false });
+          }
+
+          const result = await submissionCollection.insertOne({
+            assignmentId: id,
+            classId: assignment.classId,
+            studentEmail: email,
+            studentName: req.decoded.name || null,
+            answer,
+            status,
+            attempt: 1,
+            mark: null,
+            feedback: null,
+            create_at: now,
+            update_at: now,
+          });
+          res.status(201).send(result);
+        } catch (error) {
+          console.error('Error submitting assignment:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // teacher list submissions of a class (optionally one assignment)
+    app.get(
+      '/assignment-submissions/:classId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const { classId } = req.params;
+        const { assignmentId, status } = req.query;
+
+        const query = { classId };
+        if (assignmentId) query.assignmentId = assignmentId;
+        if (status) query.status = status;
+
+        try {
+          const result = await submissionCollection
+            .find(query)
+            .sort({ create_at: -1 })
+            .toArray();
+          res.status(200).json(result);
+        } catch (error) {
+          console.error('Error fetching submissions:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // teacher grade a submission with feedback
+    app.patch(
+      '/grade-submission/:id',
+      verifyFirebaseToken,
+      verifyPermission('class:teach'),
+      validateBody(schemas.gradeSubmission),
+      async (req, res) => {
+        const { id } = req.params;
+        const { mark, feedback } = req.body;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid submission id' });
+        }
+
+        try {
+          const submission = await submissionCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!submission) {
+            return res.status(404).send({ message: 'Submission not found' });
+          }
+
+          // only the class owner (or admin) can grade
+          const classData = await classCollection.findOne({
+            _id: new ObjectId(submission.classId),
+          });
+          if (req.role !== 'admin' && classData?.email !== req.decoded.email) {
+            return res.status(403).send({ message: 'Forbidden Access' });
+          }
+
+          const assignment = await assignmentCollection.findOne({
+            _id: new ObjectId(submission.assignmentId),
+          });
+          const maxMark = Number(assignment?.totalMark);
+          if (maxMark && mark > maxMark) {
+            return res
+              .status(400)
+              .send({ message: `Mark can not be more than ${maxMark}` });
+          }
+
+          const result = await submissionCollection.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $set: {
+                mark,
+                feedback: feedback || null,
+                status: 'graded',
+                graded_by: req.decoded.email,
+                graded_at: new Date().toISOString(),
+              },
+            }
+          );
+          await tryIssueCertificate(
+            submission.classId,
+            submission.studentEmail
+          );
+          res.send(result);
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    // student own progress in a class
+    app.get(
+      '/my-progress/:classId',
+      verifyFirebaseToken,
+      verifyClassAccess,
+      async (req, res) => {
+        const { classId } = req.params;
+        try {
+          const result = await getStudentProgress(classId, req.decoded.email);
+          res.status(200).json(result);
+        } catch (error) {
+          console.error('Error fetching progress:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // teacher view of a single student progress
+    app.get(
+      '/student-progress/:classId/:email',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const { classId, email } = req.params;
+        try {
+          const result = await getStudentProgress(classId, email);
+          res.status(200).json(result);
+        } catch (error) {
+          console.error('Error fetching progress:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // Class Progress numbers for teacher dashboard
+    app.get(
+      '/class-progress/:id',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const { id } = req.params;
+        const classData = req.classData;
+
+        try {
+          const totalAssignment = await assignmentCollection.countDocuments({
+            classId: id,
+          });
+          const totalSubmission = await submissionCollection.countDocuments({
+            classId: id,
+          });
+
+          const students = await submissionCollection
+            .aggregate([
+              { $match: { classId: id } },
+              {
+                $group: {
+                  _id: '$studentEmail',
+                  submitted: { $sum: 1 },
+                  graded: {
+                    $sum: { $cond: [{ $eq: ['$status', 'graded'] }, 1, 0] },
+                  },
+                  averageMark: { $avg: '$mark' },
+                },
+              },
+              { $sort: { submitted: -1 } },
+            ])
+            .toArray();
+
+          const totalGraded = students.reduce((sum, s) => sum + s.graded, 0);
+
+          res.send({
+            totalEnrolled: classData.enrolled || 0,
+            totalAssignment,
+            totalSubmission,
+            totalGraded,
+            students: students.map((s) => ({
+              studentEmail: s._id,
+              submitted: s.submitted,
+              graded: s.graded,
+              averageMark: s.averageMark || 0,
+              progress: totalAssignment
+                ? Math.round((s.submitted / totalAssignment) * 100)
+                : 0,
+            })),
+          });
+        } catch (error) {
+          console.error('Error fetching class progress:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // done: curriculum ---> #11
+    // sections with their ordered lessons of one class
+    const getCurriculum = async (classId) => {
+      const sections = await sectionCollection
+        .find({ classId })
+        .sort({ order: 1 })
+        .toArray();
+      const lessons = await lessonCollection
+        .find({ classId })
+        .sort({ order: 1 })
+        .toArray();
+
+      return sections.map((section) => ({
+        ...section,
+        lessons: lessons.filter(
+          (lesson) => lesson.sectionId === section._id.toString()
+        ),
+      }));
+    };
+
+    // next order number inside a class / section
+    const nextOrder = async (collection, query) => {
+      const [last] = await collection
+        .find(query)
+        .sort({ order: -1 })
+        .limit(1)
+        .toArray();
+      return last ? last.order + 1 : 1;
+    };
+
+    // teacher add section
+    app.post(
+      '/class-sections/:classId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      validateBody(schemas.addSection),
+      async (req, res) => {
+        const { classId } = req.params;
+        const sectionData = req.body;
+        sectionData.classId = classId;
+        if (sectionData.order === undefined) {
+          sectionData.order = await nextOrder(sectionCollection, { classId });
+        }
+        sectionData.create_at = new Date().toISOString();
+
+        try {
+          const result = await sectionCollection.insertOne(sectionData);
+          res.status(201).send(result);
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      }
+    );
+
+    // teacher rename / reorder section
+    app.patch(
+      '/class-sections/:classId/:sectionId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      validateBody(schemas.updateSection),
+      async (req, res) => {
+        const { classId, sectionId } = req.params;
+        if (!ObjectId.isValid(sectionId)) {
+          return res.status(400).send({ message: 'Invalid section id' });
+        }
+
+        try {
+          const result = await sectionCollection.updateOne(
+            { _id: new ObjectId(sectionId), classId },
+            { $set: req.body }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: 'Section not found' });
+          }
+          res.send(result);
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    // teacher delete section with its lessons
+    app.delete(
+      '/class-sections/:classId/:sectionId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const { classId, sectionId } = req.params;
+        if (!ObjectId.isValid(sectionId)) {
+          return res.status(400).send({ message: 'Invalid section id' });
+        }
+
+        try {
+          const result = await sectionCollection.deleteOne({
+            _id: new ObjectId(sectionId),
+            classId,
+          });
+          if (result.deletedCount === 0) {
+            return res.status(404).send({ message: 'Section not found' });
+          }
+
+          const lessons = await lessonCollection
+            .find({ classId, sectionId })
+            .toArray();
+          const lessonIds = lessons.map((lesson) => lesson._id.toString());
+          await lessonCollection.deleteMany({ classId, sectionId });
+          await lessonProgressCollection.deleteMany({
+            lessonId: { $in: lessonIds },
+          });
+
+          res.status(200).send({ message: 'Section deleted successfully' });
+        } catch (error) {
+          console.error('Delete Error:', error);
+          res.status(500).send({ message: 'Internal Server Error', error });
+        }
+      }
+    );
+
+    // video / attachment lessons need the url of their type
+    const lessonUrlError = (lesson) => {
+      if (lesson.type === 'video' && !lesson.videoUrl) {
+        return 'Video URL is required';
+      }
+      if (lesson.type === 'attachment' && !lesson.attachmentUrl) {
+        return 'Attachment URL is required';
+      }
+      return null;
+    };
+
+    // teacher add lesson (text / video / attachment) under a section
+    app.post(
+      '/class-lessons/:classId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      validateBody(schemas.addLesson),
+      async (req, res) => {
+        const { classId } = req.params;
+        const lessonData = req.body;
+
+        const section = await sectionCollection.findOne({
+          _id: new ObjectId(lessonData.sectionId),
+          classId,
+        });
+        if (!section) {
+          return res.status(404).send({ message: 'Section not found' });
+        }
+        const urlError = lessonUrlError(lessonData);
+        if (urlError) {
+          return res.status(400).send({ message: urlError });
+        }
+
+        lessonData.classId = classId;
+        if (lessonData.order === undefined) {
+          lessonData.order = await nextOrder(lessonCollection, {
+            classId,
+            sectionId: lessonData.sectionId,
+          });
+        }
+        lessonData.create_at = new Date().toISOString();
+
+        try {
+          const result = await lessonCollection.insertOne(lessonData);
+          res.status(201).send(result);
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      }
+    );
+
+    // teacher update / move / reorder lesson
+    app.patch(
+      '/class-lessons/:classId/:lessonId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      validateBody(schemas.updateLesson),
+      async (req, res) => {
+        const { classId, lessonId } = req.params;
+        if (!ObjectId.isValid(lessonId)) {
+          return res.status(400).send({ message: 'Invalid lesson id' });
+        }
+
+        try {
+          if (req.body.sectionId) {
+            const section = await sectionCollection.findOne({
+              _id: new ObjectId(req.body.sectionId),
+              classId,
+            });
+            if (!section) {
+              return res.status(404).send({ message: 'Section not found' });
+            }
+          }
+
+          const lesson = await lessonCollection.findOne({
+            _id: new ObjectId(lessonId),
+            classId,
+          });
+          if (!lesson) {
+            return res.status(404).send({ message: 'Lesson not found' });
+          }
+          // same rule as a new lesson, on the lesson as it would be saved
+          const urlError = lessonUrlError({ ...lesson, ...req.body });
+          if (urlError) {
+            return res.status(400).send({ message: urlError });
+          }
+
+          const result = await lessonCollection.updateOne(
+            { _id: lesson._id },
+            { $set: req.body }
+          );
+          res.send(result);
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    // teacher delete lesson
+    app.delete(
+      '/class-lessons/:classId/:lessonId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const { classId, lessonId } = req.params;
+        if (!ObjectId.isValid(lessonId)) {
+          return res.status(400).send({ message: 'Invalid lesson id' });
+        }
+
+        try {
+          const result = await lessonCollection.deleteOne({
+            _id: new ObjectId(lessonId),
+            classId,
+          });
+          if (result.deletedCount === 0) {
+            return res.status(404).send({ message: 'Lesson not found' });
+          }
+          await lessonProgressCollection.deleteMany({ lessonId });
+          res.status(200).send({ message: 'Lesson deleted successfully' });
+        } catch (error) {
+          console.error('Delete Error:', error);
+          res.status(500).send({ message: 'Internal Server Error', error });
+        }
+      }
+    );
+
+    // curriculum for enrolled student / owner / admin
+    app.get(
+      '/class-curriculum/:classId',
+      verifyFirebaseToken,
+      verifyClassAccess,
+      async (req, res) => {
+        const { classId } = req.params;
+        const email = req.decoded.email;
+
+        try {
+          const sections = await getCurriculum(classId);
+          if (req.role !== 'student') {
+            return res.status(200).json({ sections });
+          }
+
+          // student: mark completed lessons
+          const done = await lessonProgressCollection
+            .find({ classId, studentEmail: email })
+            .toArray();
+          const doneIds = done.map((item) => item.lessonId);
+          sections.forEach((section) => {
+            section.lessons.forEach((lesson) => {
+              lesson.completed = doneIds.includes(lesson._id.toString());
+            });
+          });
+
+          res.status(200).json({
+            sections,
+            ...(await getCompletion(classId, email)),
+          });
+        } catch (error) {
+          console.error('Error fetching curriculum:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // student mark a lesson completed
+    app.post(
+      '/lesson-complete/:classId/:lessonId',
+      verifyFirebaseToken,
+      verifyClassAccess,
+      async (req, res) => {
+        const { classId, lessonId } = req.params;
+        const email = req.decoded.email;
+
+        if (req.role !== 'student') {
+          return res
+            .status(403)
+            .send({ message: 'Only enrolled students can complete lessons' });
+        }
+        if (!ObjectId.isValid(lessonId)) {
+          return res.status(400).send({ message: 'Invalid lesson id' });
+        }
+
+        try {
+          const lesson = await lessonCollection.findOne({
+            _id: new ObjectId(lessonId),
+            classId,
+          });
+          if (!lesson) {
+            return res.status(404).send({ message: 'Lesson not found' });
+          }
+
+          await lessonProgressCollection.updateOne(
+            { studentEmail: email, lessonId },
+            {
+              $setOnInsert: {
+                classId,
+                lessonId,
+                studentEmail: email,
+                completed_at: new Date().toISOString(),
+              },
+            },
+            { upsert: true }
+          );
+          await tryIssueCertificate(classId, email);
+
+          res.send(await getCompletion(classId, email));
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    // done: teacher earnings & payout ---> #12
+    const defaultSettings = { commissionRate: 0.2 };
+
+    const getPlatformSettings = async () => {
+      const settings = await settingsCollection.findOne({ _id: 'platform' });
+      return { ...defaultSettings, ...settings };
+    };
+
+    // admin: read / change platform commission
+    app.get(
+      '/platform-settings',
+      verifyFirebaseToken,
+      verifyPermission('payout:manage'),
+      async (req, res) => {
+        res.send(await getPlatformSettings());
+      }
+    );
+
+    app.patch(
+      '/platform-settings',
+      verifyFirebaseToken,
+      verifyPermission('payout:manage'),
+      async (req, res) => {
+        const commissionRate = Number(req.body.commissionRate);
+        if (isNaN(commissionRate) || commissionRate < 0 || commissionRate > 1) {
+          return res
+            .status(400)
+            .send({ message: 'Commission rate must be between 0 and 1' });
+        }
+
+        await settingsCollection.updateOne(
+          { _id: 'platform' },
+          {
+            $set: {
+              commissionRate,
+              update_by: req.decoded.email,
+              update_at: new Date().toISOString(),
+            },
+          },
+          { upsert: true }
+        );
+        res.send(await getPlatformSettings());
+      }
+    );
+
+    // amount - refunded of one class of a ledger row (after $unwind items)
+    // in the stripe account currency
+    const itemNetAmount = {
+      $multiply: [
+        { $ifNull: ['$items.amount', '$amount'] },
+        { $subtract: [1, { $divide: ['$refundedAmount', '$amount'] }] },
+        { $ifNull: ['$exchangeRate', 1] },
+      ],
+    };
+
+    // every ledger row of a teacher -> gross / commission / net
+    // cart payments count only the teacher's own items
+    // amount / refunded in the paid currency, gross..net in account currency
+    const getTeacherEarnings = async (email, from, to) => {
+      const round = (value) => Math.round(value * 100) / 100;
+      const query = {
+        $or: [{ teacherEmail: email }, { 'items.teacherEmail': email }],
+      };
+      if (from || to) {
+        query.create_at = {};
+        if (from) query.create_at.$gte = new Date(from).toISOString();
+        if (to) query.create_at.$lte = new Date(to).toISOString();
+      }
+
+      const payments = await paymentCollection
+        .find(query)
+        .sort({ create_at: -1 })
+        .toArray();
+      const sales = payments.flatMap((payment) =>
+        (
+          payment.items || [
+            {
+              classId: payment.classId,
+              teacherEmail: payment.teacherEmail,
+              amount: payment.amount,
+            },
+          ]
+        )
+          .filter((item) => item.teacherEmail === email)
+          .map((item) => ({ payment, item }))
+      );
+      const classIds = [...new Set(sales.map(({ item }) => item.classId))];
+      const classes = await classCollection
+        .find({
+          _id: {
+            $in: classIds
+              .filter((id) => ObjectId.isValid(id))
+              .map((id) => new ObjectId(id)),
+          },
+        })
+        .project({ title: 1 })
+        .toArray();
+
+      // money lost to a dispute does not count as sale
+      // refunds of a cart payment are shared by item amount
+      const rows = sales.map(({ payment, item }) => {
+        const isDisputed = ['disputed', 'dispute-lost'].includes(
+          payment.status
+        );
+        const refunded = round(
+          (payment.refundedAmount * item.amount) / payment.amount
+        );
+        const gross = isDisputed
+          ? 0
+          : round((item.amount - refunded) * (payment.exchangeRate ?? 1));
+        const rate = payment.commissionRate ?? defaultSettings.commissionRate;
+        const commission = Math.round(gross * rate * 100) / 100;
+        return {
+          date: payment.create_at,
+          month: payment.create_at.slice(0, 7),
+          paymentIntentId: payment.paymentIntentId,
+          classId: item.classId,
+          title:
+            classes.find((c) => c._id.toString() === item.classId)?.title || '',
+          studentEmail: payment.studentEmail,
+          status: payment.status,
+          currency: payment.currency || defaultCurrency,
+          amount: item.amount,
+          refunded,
+          gross,
+          commission,
+          net: Math.round((gross - commission) * 100) / 100,
+        };
+      });
+
+      const sumBy = (key) => {
+        const groups = {};
+        rows.forEach((row) => {
+          const group = (groups[row[key]] ||= {
+            [key]: row[key],
+            sales: 0,
+            gross: 0,
+            commission: 0,
+            net: 0,
+          });
+          if (key === 'classId') group.title = row.title;
+          group.sales += 1;
+          group.gross += row.gross;
+          group.commission += row.commission;
+          group.net += row.net;
+        });
+        return Object.values(groups).map((group) => ({
+          ...group,
+          gross: round(group.gross),
+          commission: round(group.commission),
+          net: round(group.net),
+        }));
+      };
+
+      const totals = rows.reduce(
+        (sum, row) => ({
+          gross: sum.gross + row.gross,
+          commission: sum.commission + row.commission,
+          net: sum.net + row.net,
+        }),
+        { gross: 0, commission: 0, net: 0 }
+      );
+
+      // payable is all-time, not limited to from/to
+      const [payout] = await payoutCollection
+        .aggregate([
+          { $match: { teacherEmail: email } },
+          {
+            $group: {
+              _id: null,
+              paid: {
+                $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] },
+              },
+              pending: {
+                $sum: {
+                  $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0],
+                },
+              },
+            },
+          },
+        ])
+        .toArray();
+      const [allTime] = await paymentCollection
+        .aggregate([
+          {
+            $match: {
+              $or: [{ teacherEmail: email }, { 'items.teacherEmail': email }],
+              status: { $nin: ['disputed', 'dispute-lost'] },
+            },
+          },
+          { $unwind: { path: '$items', preserveNullAndEmptyArrays: true } },
+          {
+            $match: {
+              $or: [
+                { items: { $exists: false }, teacherEmail: email },
+                { 'items.teacherEmail': email },
+              ],
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              net: {
+                $sum: {
+                  $multiply: [
+                    itemNetAmount,
+                    {
+                      $subtract: [
+                        1,
+                        {
+                          $ifNull: [
+                            '$commissionRate',
+                            defaultSettings.commissionRate,
+                          ],
+                        },
+                      ],
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        ])
+        .toArray();
+
+      const paid = payout?.paid || 0;
+      const pending = payout?.pending || 0;
+
+      return {
+        rows,
+        perClass: sumBy('classId'),
+        perMonth: sumBy('month').sort((a, b) => a.month.localeCompare(b.month)),
+        totals: {
+          gross: round(totals.gross),
+          commission: round(totals.commission),
+          net: round(totals.net),
+          paidOut: round(paid),
+          pendingPayout: round(pending),
+          payable: round((allTime?.net || 0) - paid - pending),
+        },
+      };
+    };
+
+    const earningCsvColumns = [
+      { key: 'date', label: 'Date' },
+      { key: 'paymentIntentId', label: 'Payment' },
+      { key: 'title', label: 'Class' },
+      { key: 'studentEmail', label: 'Student' },
+      { key: 'status', label: 'Status' },
+      { key: 'currency', label: 'Currency' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'refunded', label: 'Refunded' },
+      { key: 'gross', label: 'Gross' },
+      { key: 'commission', label: 'Commission' },
+      { key: 'net', label: 'Net' },
+    ];
+
+    const sendEarnings = async (req, res, email) => {
+      const { from, to, format } = req.query;
+      try {
+        const earnings = await getTeacherEarnings(email, from, to);
+        if (format === 'csv') {
+          res.attachment(`earnings-${email}.csv`);
+          return res.send(toCsv(earnings.rows, earningCsvColumns));
+        }
+        const { rows, ...summary } = earnings;
+        res.status(200).json({ ...summary, payments: rows });
+      } catch (error) {
+        console.error('Error fetching earnings:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    };
+
+    // teacher own earnings (?from=&to=&format=csv)
+    app.get(
+      '/teacher-earnings',
+      verifyFirebaseToken,
+      verifyPermission('class:teach'),
+      async (req, res) => sendEarnings(req, res, req.decoded.email)
+    );
+
+    // admin view of any teacher earnings
+    app.get(
+      '/teacher-earnings/:email',
+      verifyFirebaseToken,
+      verifyPermission('payout:manage'),
+      async (req, res) => sendEarnings(req, res, req.params.email)
+    );
+
+    // admin create payout record (pending until marked paid)
+    app.post(
+      '/payouts',
+      verifyFirebaseToken,
+      verifyPermission('payout:manage'),
+      validateBody(schemas.addPayout),
+      async (req, res) => {
+        const { teacherEmail, note } = req.body;
+        const amount = Math.round(req.body.amount * 100) / 100;
+
+        if (amount <= 0) {
+          return res.status(400).send({ message: 'Amount must be above 0' });
+        }
+
+        try {
+          const { totals } = await getTeacherEarnings(teacherEmail);
+          if (amount > totals.payable) {
+            return res
+              .status(400)
+              .send({ message: `Only ${totals.payable} is payable` });
+          }
+
+          const result = await payoutCollection.insertOne({
+            teacherEmail,
+            amount,
+            note: note || null,
+            status: 'pending',
+            create_by: req.decoded.email,
+            create_at: new Date().toISOString(),
+          });
+          res.status(201).send(result);
+        } catch (error) {
+          console.error('Error creating payout:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // admin mark payout as paid
+    app.patch(
+      '/payouts/:id/paid',
+      verifyFirebaseToken,
+      verifyPermission('payout:manage'),
+      validateBody(schemas.payoutPaid),
+      async (req, res) => {
+        const { id } = req.params;
+        const { reference } = req.body;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid payout id' });
+        }
+
+        try {
+          const result = await payoutCollection.updateOne(
+            { _id: new ObjectId(id), status: 'pending' },
+            {
+              $set: {
+                status: 'paid',
+                reference: reference || null,
+                paid_by: req.decoded.email,
+                paid_at: new Date().toISOString(),
+              },
+            }
+          );
+          if (result.matchedCount === 0) {
+            return res
+              .status(404)
+              .send({ message: 'Pending payout not found' });
+          }
+          res.send(result);
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    const payoutCsvColumns = [
+      { key: 'create_at', label: 'Created' },
+      { key: 'teacherEmail', label: 'Teacher' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'status', label: 'Status' },
+      { key: 'reference', label: 'Reference' },
+      { key: 'paid_at', label: 'Paid At' },
+      { key: 'note', label: 'Note' },
+    ];
+
+    // admin: all payouts (?status=&teacherEmail=&format=csv)
+    app.get(
+      '/payouts',
+      verifyFirebaseToken,
+      verifyPermission('payout:manage'),
+      async (req, res) => {
+        const { status, teacherEmail, format } = req.query;
+        const query = {};
+        if (status) query.status = status;
+        if (teacherEmail) query.teacherEmail = teacherEmail;
+
+        const result = await payoutCollection
+          .find(query)
+          .sort({ create_at: -1 })
+          .toArray();
+        if (format === 'csv') {
+          res.attachment('payouts.csv');
+          return res.send(toCsv(result, payoutCsvColumns));
+        }
+        res.send(result);
+      }
+    );
+
+    // teacher own payouts
+    app.get(
+      '/my-payouts',
+      verifyFirebaseToken,
+      verifyPermission('class:teach'),
+      async (req, res) => {
+        const result = await payoutCollection
+          .find({ teacherEmail: req.decoded.email })
+          .sort({ create_at: -1 })
+          .toArray();
+        res.send(result);
+      }
+    );
+
+    // done: admin analytics ---> #13
+    // bucket documents by day/week/month of an ISO date string field
+    // unwind: array field whose entries are counted one by one
+    const timeSeries = (
+      collection,
+      { field, match, unit, from, to, value, unwind }
+    ) =>
+      collection
+        .aggregate([
+          ...(unwind ? [{ $unwind: `$${unwind}` }] : []),
+          { $match: { ...match, [field]: { $gte: from, $lte: to } } },
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: '%Y-%m-%d',
+                  date: {
+                    $dateTrunc: {
+                      date: { $toDate: `$${field}` },
+                      unit,
+                      startOfWeek: 'monday',
+                    },
+                  },
+                },
+              },
+              value: { $sum: value || 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, date: '$_id', value: 1 } },
+        ])
+        .toArray();
+
+    // ?from=&to=&unit=day|week|month (default: last 30 days by day)
+    app.get(
+      '/admin-analytics',
+      verifyFirebaseToken,
+      verifyPermission('analytics:read'),
+      async (req, res) => {
+        const unit = ['day', 'week', 'month'].includes(req.query.unit)
+          ? req.query.unit
+          : 'day';
+        const toDate = req.query.to ? new Date(req.query.to) : new Date();
+        const fromDate = req.query.from
+          ? new Date(req.query.from)
+          : new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+          return res.status(400).send({ message: 'Invalid date range' });
+        }
+
+        const from = fromDate.toISOString();
+        const to = toDate.toISOString();
+        const range = { from, to, unit };
+        // account currency, payments can be in several currencies
+        const netAmount = {
+          $multiply: [
+            { $subtract: ['$amount', '$refundedAmount'] },
+            { $ifNull: ['$exchangeRate', 1] },
+          ],
+        };
+        const settled = { status: { $nin: ['disputed', 'dispute-lost'] } };
+
+        try {
+          const [
+            newUsers,
+            teacherRequests,
+            classApprovals,
+            enrollments,
+            revenue,
+          ] = await Promise.all([
+            timeSeries(usersCollection, { ...range, field: 'create_at' }),
+            timeSeries(teacherRequestCollection, {
+              ...range,
+              field: 'create_at',
+            }),
+            // every approval (re-approvals too), not only the latest review
+            timeSeries(classCollection, {
+              ...range,
+              unwind: 'reviewHistory',
+              field: 'reviewHistory.at',
+              match: { 'reviewHistory.to': 'approved' },
+            }),
+            timeSeries(enrollCollection, { ...range, field: 'create_at' }),
+            timeSeries(paymentCollection, {
+              ...range,
+              field: 'create_at',
+              match: settled,
+              value: netAmount,
+            }),
+          ]);
+
+          const topClasses = await enrollCollection
+            .aggregate([
+              { $match: { create_at: { $gte: from, $lte: to } } },
+              {
+                $group: {
+                  _id: '$classId',
+                  title: { $first: '$title' },
+                  teacherEmail: { $first: '$teacherEmail' },
+                  enrollments: { $sum: 1 },
+                },
+              },
+              { $sort: { enrollments: -1 } },
+              { $limit: 5 },
+              {
+                $lookup: {
+                  from: 'class-view',
+                  let: { classId: '$_id' },
+                  pipeline: [
+                    {
+                      $match: {
+                        $expr: { $eq: ['$classId', '$$classId'] },
+                        date: {
+                          $gte: from.slice(0, 10),
+                          $lte: to.slice(0, 10),
+                        },
+                      },
+                    },
+                    { $group: { _id: null, views: { $sum: '$views' } } },
+                  ],
+                  as: 'view',
+                },
+              },
+              {
+                $project: {
+                  _id: 0,
+                  classId: '$_id',
+                  title: 1,
+                  teacherEmail: 1,
+                  enrollments: 1,
+                  views: { $ifNull: [{ $first: '$view.views' }, 0] },
+                },
+              },
+            ])
+            .toArray();
+
+          const topTeachers = await paymentCollection
+            .aggregate([
+              {
+                $match: { ...settled, create_at: { $gte: from, $lte: to } },
+              },
+              {
+                $unwind: { path: '$items', preserveNullAndEmptyArrays: true },
+              },
+              {
+                $group: {
+                  _id: { $ifNull: ['$items.teacherEmail', '$teacherEmail'] },
+                  revenue: { $sum: itemNetAmount },
+                  sales: { $sum: 1 },
+                },
+              },
+              { $sort: { revenue: -1 } },
+              { $limit: 5 },
+              {
+                $project: {
+                  _id: 0,
+                  teacherEmail: '$_id',
+                  revenue: 1,
+                  sales: 1,
+                },
+              },
+            ])
+            .toArray();
+
+          const [views] = await classViewCollection
+            .aggregate([
+              {
+                $match: {
+                  date: { $gte: from.slice(0, 10), $lte: to.slice(0, 10) },
+                },
+              },
+              { $group: { _id: null, views: { $sum: '$views' } } },
+            ])
+            .toArray();
+          const totalViews = views?.views || 0;
+          const totalEnrollments = enrollments.reduce(
+            (sum, item) => sum + item.value,
+            0
+          );
+
+          const [rating] = await reportCollection
+            .aggregate([
+              { $match: { create_at: { $gte: from, $lte: to } } },
+              {
+                $group: {
+                  _id: null,
+                  average: { $avg: '$rating' },
+                  total: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray();
+          const teacherRatings = await reportCollection
+            .aggregate([
+              { $match: { create_at: { $gte: from, $lte: to } } },
+              {
+                $group: {
+                  _id: '$teacherMail',
+                  average: { $avg: '$rating' },
+                  total: { $sum: 1 },
+                },
+              },
+              { $sort: { average: -1, total: -1 } },
+              { $limit: 5 },
+              {
+                $project: {
+                  _id: 0,
+                  teacherEmail: '$_id',
+                  average: 1,
+                  total: 1,
+                },
+              },
+            ])
+            .toArray();
+
+          res.send({
+            from,
+            to,
+            unit,
+            series: {
+              newUsers,
+              teacherRequests,
+              classApprovals,
+              enrollments,
+              revenue,
+            },
+            topClasses: topClasses.map((item) => ({
+              ...item,
+              conversion: item.views ? item.enrollments / item.views : 0,
+            })),
+            topTeachers,
+            conversion: {
+              views: totalViews,
+              enrollments: totalEnrollments,
+              rate: totalViews ? totalEnrollments / totalViews : 0,
+            },
+            ratings: {
+              average: rating?.average || 0,
+              total: rating?.total || 0,
+              topTeachers: teacherRatings,
+            },
+          });
+        } catch (error) {
+          console.error('Error building analytics:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // done: notification ---> #14
+    // open SSE responses per user email
+    const sseClients = new Map();
+
+    const pushToStream = (email, event, data) => {
+      const clients = sseClients.get(email);
+      if (!clients) return;
+      clients.forEach((client) => {
+        client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      });
+    };
+
+    // save + push live; never breaks the caller's request
+    const notify = async (emails, { type, title, message, link }) => {
+      const recipients = [].concat(emails).filter(Boolean);
+      if (recipients.length === 0) return;
+
+      const now = new Date().toISOString();
+      const docs = recipients.map((email) => ({
+        email,
+        type,
+        title,
+        message,
+        link: link || null,
+        read: false,
+        create_at: now,
+      }));
+
+      try {
+        await notificationCollection.insertMany(docs);
+        docs.forEach((doc) => pushToStream(doc.email, 'notification', doc));
+      } catch (error) {
+        console.error('Notification failed:', error);
+      }
+    };
+
+    // EventSource can not send headers, so allow ?token= for the stream
+    const tokenFromQuery = (req, res, next) => {
+      if (req.query.token && !req.headers.authorization) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+      }
+      next();
+    };
+
+    // live stream: event "notification" per new item, "unread" count on connect
+    app.get(
+      '/notifications/stream',
+      tokenFromQuery,
+      verifyFirebaseToken,
+      async (req, res) => {
+        const email = req.decoded.email;
+
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive',
+        });
+        res.flushHeaders();
+
+        if (!sseClients.has(email)) sseClients.set(email, new Set());
+        sseClients.get(email).add(res);
+
+        const unread = await notificationCollection.countDocuments({
+          email,
+          read: false,
+        });
+        res.write(`event: unread\ndata: ${JSON.stringify({ unread })}\n\n`);
+
+        // keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        req.on('close', () => {
+          clearInterval(heartbeat);
+          const clients = sseClients.get(email);
+          clients?.delete(res);
+          if (clients?.size === 0) sseClients.delete(email);
+        });
+      }
+    );
+
+    // own notifications (?unread=true&limit=)
+    app.get('/notifications', verifyFirebaseToken, async (req, res) => {
+      const email = req.decoded.email;
+      const limit = parseInt(req.query.limit) || 20;
+      const query = { email };
+      if (req.query.unread === 'true') query.read = false;
+
+      try {
+        const data = await notificationCollection
+          .find(query)
+          .sort({ create_at: -1 })
+          .limit(limit)
+          .toArray();
+        const unread = await notificationCollection.countDocuments({
+          email,
+          read: false,
+        });
+        res.send({ unread, data });
+      } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    app.patch(
+      '/notifications/read-all',
+      verifyFirebaseToken,
+      async (req, res) => {
+        const result = await notificationCollection.updateMany(
+          { email: req.decoded.email, read: false },
+          { $set: { read: true, read_at: new Date().toISOString() } }
+        );
+        pushToStream(req.decoded.email, 'unread', { unread: 0 });
+        res.send(result);
+      }
+    );
+
+    app.patch(
+      '/notifications/:id/read',
+      verifyFirebaseToken,
+      async (req, res) => {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid notification id' });
+        }
+
+        const result = await notificationCollection.updateOne(
+          { _id: new ObjectId(id), email: req.decoded.email },
+          { $set: { read: true, read_at: new Date().toISOString() } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ message: 'Notification not found' });
+        }
+        res.send(result);
+      }
+    );
+
+    // done: email queue ---> #15
+    const emailMaxAttempts = 5;
+
+    // queue a templated mail; the worker sends it (never breaks the caller)
+    const enqueueEmail = async (template, to, data) => {
+      if (!to || !emailTemplates[template]) return;
+      try {
+        await emailQueueCollection.insertOne({
+          to,
+          template,
+          data,
+          status: 'queued',
+          attempts: 0,
+          next_attempt_at: new Date().toISOString(),
+          create_at: new Date().toISOString(),
+        });
+        processEmailQueue();
+      } catch (error) {
+        console.error('Email enqueue failed:', error);
+      }
+    };
+
+    const sendEmailJob = async (job) => {
+      const now = new Date();
+      try {
+        const { subject, text, html } = emailTemplates[job.template](job.data);
+        const info = await mailTransport.sendMail({
+          from: process.env.EMAIL_FROM || 'LearnNest <no-reply@learnnest.app>',
+          to: job.to,
+          subject,
+          text,
+          html,
+        });
+        await emailQueueCollection.updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: 'sent',
+              messageId: info.messageId,
+              sent_at: now.toISOString(),
+            },
+            $inc: { attempts: 1 },
+          }
+        );
+      } catch (error) {
+        // retry with backoff: 1, 2, 4, 8 minutes, then give up
+        const attempts = job.attempts + 1;
+        const failed = attempts >= emailMaxAttempts;
+        await emailQueueCollection.updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: failed ? 'failed' : 'queued',
+              last_error: error.message,
+              next_attempt_at: new Date(
+                now.getTime() + 2 ** (attempts - 1) * 60 * 1000
+              ).toISOString(),
+            },
+            $inc: { attempts: 1 },
+          }
+        );
+      }
+    };
+
+    // claim due jobs one by one; 'sending' older than 10 min is a crashed run
+    let processingEmail = false;
+    const processEmailQueue = async () => {
+      if (processingEmail) return;
+      processingEmail = true;
+      try {
+        for (;;) {
+          const now = new Date();
+          const staleLock = new Date(now.getTime() - 10 * 60 * 1000);
+          const job = await emailQueueCollection.findOneAndUpdate(
+            {
+              $or: [
+                {
+                  status: 'queued',
+                  next_attempt_at: { $lte: now.toISOString() },
+                },
+                {
+                  status: 'sending',
+                  locked_at: { $lt: staleLock.toISOString() },
+                },
+              ],
+            },
+            { $set: { status: 'sending', locked_at: now.toISOString() } },
+            { sort: { next_attempt_at: 1 }, returnDocument: 'after' }
+          );
+          if (!job) break;
+          await sendEmailJob(job);
+        }
+      } catch (error) {
+        console.error('Email queue failed:', error);
+      } finally {
+        processingEmail = false;
+      }
+    };
+    setInterval(processEmailQueue, 30 * 1000).unref();
+
+    // admin: mail queue (?status=queued|sending|sent|failed)
+    app.get(
+      '/email-queue',
+      verifyFirebaseToken,
+      verifyPermission('system:manage'),
+      async (req, res) => {
+        const query = {};
+        if (req.query.status) query.status = req.query.status;
+        const result = await emailQueueCollection
+          .find(query)
+          .sort({ create_at: -1 })
+          .limit(100)
+          .toArray();
+        res.send(result);
+      }
+    );
+
+    // admin: put a failed mail back in the queue
+    app.patch(
+      '/email-queue/:id/retry',
+      verifyFirebaseToken,
+      verifyPermission('system:manage'),
+      async (req, res) => {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid email id' });
+        }
+        const result = await emailQueueCollection.updateOne(
+          { _id: new ObjectId(id), status: 'failed' },
+          {
+            $set: {
+              status: 'queued',
+              attempts: 0,
+              next_attempt_at: new Date().toISOString(),
+            },
+          }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ message: 'Failed email not found' });
+        }
+        processEmailQueue();
+        res.send(result);
+      }
+    );
+
+    // done: scheduled jobs ---> #16
+    const hour = 60 * 60 * 1000;
+    const day = 24 * hour;
+
+    // assignments due within a day: remind students who did not submit
+    const remindAssignmentDeadlines = async () => {
+      const now = new Date();
+      const assignments = await assignmentCollection
+        .find({
+          deadline: {
+            $gt: now.toISOString(),
+            $lte: new Date(now.getTime() + day).toISOString(),
+          },
+          reminder_sent_at: { $exists: false },
+        })
+        .toArray();
+
+      let reminded = 0;
+      for (const assignment of assignments) {
+        const classData = ObjectId.isValid(assignment.classId)
+          ? await classCollection.findOne({
+              _id: new ObjectId(assignment.classId),
+            })
+          : null;
+        const students = await enrollCollection
+          .find({
+            classId: assignment.classId,
+            status: { $nin: ['revoked', 'disputed'] },
+          })
+          .project({ studentEmail: 1 })
+          .toArray();
+        // find + project, distinct is not in stable api v1 (strict)
+        const submitted = (
+          await submissionCollection
+            .find({ assignmentId: assignment._id.toString() })
+            .project({ studentEmail: 1 })
+            .toArray()
+        ).map((item) => item.studentEmail);
+        const pending = students
+          .map((item) => item.studentEmail)
+          .filter((email) => !submitted.includes(email));
+
+        for (const email of pending) {
+          await enqueueEmail('assignmentDueReminder', email, {
+            title: assignment.title,
+            classTitle: classData?.title || '',
+            deadline: assignment.deadline,
+          });
+        }
+        await notify(pending, {
+          type: 'assignment',
+          title: 'Assignment due soon',
+          message: `${assignment.title} is due in less than a day`,
+          link: `/dashboard/my-enroll-class-details/${assignment.classId}`,
+        });
+
+        await assignmentCollection.updateOne(
+          { _id: assignment._id },
+          { $set: { reminder_sent_at: now.toISOString() } }
+        );
+        reminded += pending.length;
+      }
+      return { assignments: assignments.length, reminded };
+    };
+
+    // stop submissions after deadline (+ grace days when late is allowed)
+    const assignmentLateGraceDays = 3;
+    const closeLateSubmissions = async () => {
+      const now = Date.now();
+      const result = await assignmentCollection.updateMany(
+        {
+          closed: { $ne: true },
+          $or: [
+            {
+              allowLate: { $ne: true },
+              deadline: { $lte: new Date(now).toISOString() },
+            },
+            {
+              allowLate: true,
+              deadline: {
+                $lte: new Date(
+                  now - assignmentLateGraceDays * day
+                ).toISOString(),
+              },
+            },
+          ],
+        },
+        { $set: { closed: true, closed_at: new Date(now).toISOString() } }
+      );
+      return { closed: result.modifiedCount };
+    };
+
+    // pending teacher requests nobody reviewed in 30 days
+    const expireStaleTeacherRequests = async () => {
+      const now = new Date().toISOString();
+      const stale = await teacherRequestCollection
+        .find({
+          status: 'pending',
+          last_request_at: {
+            $lte: new Date(Date.now() - 30 * day).toISOString(),
+          },
+        })
+        .toArray();
+
+      for (const request of stale) {
+        const review = {
+          from: 'pending',
+          to: 'expired',
+          reason: 'not reviewed in 30 days',
+          by: 'system',
+          at: now,
+        };
+        await teacherRequestCollection.updateOne(
+          { _id: request._id, status: 'pending' },
+          { $set: { status: 'expired', review }, $push: { history: review } }
+        );
+        await notify(request.email, {
+          type: 'teacher-request',
+          title: 'Teacher request expired',
+          message: 'Your teacher request expired, you can apply again.',
+          link: '/dashboard/teach-on',
+        });
+      }
+      return { expired: stale.length };
+    };
+
+    // class.enrolled must match the active enrolled-classes records
+    const reconcileEnrolledCounts = async () => {
+      const counts = await enrollCollection
+        .aggregate([
+          { $match: { status: { $ne: 'revoked' } } },
+          { $group: { _id: '$classId', count: { $sum: 1 } } },
+        ])
+        .toArray();
+      const countByClass = new Map(
+        counts.map((item) => [item._id, item.count])
+      );
+
+      const classes = await classCollection
+        .find({}, { projection: { enrolled: 1 } })
+        .toArray();
+      let fixed = 0;
+      for (const item of classes) {
+        const actual = countByClass.get(item._id.toString()) || 0;
+        if ((item.enrolled || 0) !== actual) {
+          await classCollection.updateOne(
+            { _id: item._id },
+            { $set: { enrolled: actual } }
+          );
+          fixed += 1;
+        }
+      }
+      return { checked: classes.length, fixed };
+    };
+
+    // cancel our PaymentIntents left unpaid for a day
+    // only the last week is listed (older ones were seen by earlier runs)
+    const cleanAbandonedPaymentIntents = async () => {
+      const cancelable = [
+        'requires_payment_method',
+        'requires_confirmation',
+        'requires_action',
+      ];
+      let canceled = 0;
+      const intents = stripe.paymentIntents.list({
+        created: {
+          gte: Math.floor((Date.now() - 7 * day) / 1000),
+          lt: Math.floor((Date.now() - day) / 1000),
+        },
+        limit: 100,
+      });
+      for await (const intent of intents) {
+        const { classId, checkoutId } = intent.metadata || {};
+        if (!(classId || checkoutId) || !cancelable.includes(intent.status)) {
+          continue;
+        }
+        try {
+          await stripe.paymentIntents.cancel(intent.id, {
+            cancellation_reason: 'abandoned',
+          });
+          await releasePaymentCoupons(intent);
+          if (checkoutId && ObjectId.isValid(checkoutId)) {
+            await checkoutCollection.updateOne(
+              { _id: new ObjectId(checkoutId) },
+              { $set: { status: 'abandoned' } }
+            );
+          }
+          canceled += 1;
+        } catch (error) {
+          // e.g. paid meanwhile, the rest are still cleaned
+          console.error(`Cancel ${intent.id} failed:`, error.message);
+        }
+      }
+      return { canceled };
+    };
+
+    // end suspensions whose time is over
+    const reactivateSuspendedUsers = async () => {
+      const users = await usersCollection
+        .find({
+          accountStatus: 'suspended',
+          suspended_until: { $lte: new Date().toISOString() },
+        })
+        .toArray();
+      let reactivated = 0;
+      for (const user of users) {
+        try {
+          await setAccountStatus(user, 'active', 'suspension ended', 'system');
+          reactivated += 1;
+        } catch (error) {
+          // retried on the next run
+          console.error(`Reactivate ${user.email} failed:`, error.message);
+        }
+      }
+      return { reactivated };
+    };
+
+    // expired waitlist offers give the seat to the next student
+    const expireWaitlistOffers = async () => {
+      const now = new Date().toISOString();
+      const expired = await waitlistCollection
+        .find({ status: 'offered', offer_expire_at: { $lte: now } })
+        .toArray();
+      for (const entry of expired) {
+        await waitlistCollection.updateOne(
+          { _id: entry._id },
+          { $set: { status: 'expired', update_at: now } }
+        );
+        await seatCollection.deleteOne({
+          classId: entry.classId,
+          studentEmail: entry.studentEmail,
+        });
+      }
+
+      // also catches seats freed by a checkout hold running out
+      let offered = 0;
+      // $group, distinct is not in stable api v1 (strict)
+      const classes = await waitlistCollection
+        .aggregate([
+          { $match: { status: 'waiting' } },
+          { $group: { _id: '$classId' } },
+        ])
+        .toArray();
+      for (const { _id: classId } of classes) {
+        offered += await offerFreeSeats(classId);
+      }
+      return { expired: expired.length, offered };
+    };
+
+    // job name -> handler + how often it runs
+    const jobs = {
+      'assignment-deadline-reminder': {
+        every: hour,
+        handler: remindAssignmentDeadlines,
+      },
+      'close-late-submissions': { every: hour, handler: closeLateSubmissions },
+      'expire-teacher-requests': {
+        every: day,
+        handler: expireStaleTeacherRequests,
+      },
+      'reconcile-enrolled-count': {
+        every: day,
+        handler: reconcileEnrolledCounts,
+      },
+      'clean-payment-intents': {
+        every: 6 * hour,
+        handler: cleanAbandonedPaymentIntents,
+      },
+      'reactivate-suspended-users': {
+        every: hour,
+        handler: reactivateSuspendedUsers,
+      },
+      'expire-waitlist-offers': { every: hour, handler: expireWaitlistOffers },
+    };
+
+    // run one job if it is not already running (lock lives in mongodb,
+    // a 'running' lock older than an hour is from a crashed process)
+    const runJob = async (name, force = false) => {
+      const now = new Date();
+      const query = {
+        _id: name,
+        $or: [
+          { status: { $ne: 'running' } },
+          { locked_at: { $lt: new Date(now.getTime() - hour).toISOString() } },
+        ],
+      };
+      if (!force) query.next_run_at = { $lte: now.toISOString() };
+
+      const job = await jobCollection.findOneAndUpdate(query, {
+        $set: { status: 'running', locked_at: now.toISOString() },
+      });
+      if (!job) return null;
+
+      const run = { start_at: now.toISOString(), manual: force };
+      try {
+        run.result = await jobs[name].handler();
+        run.status = 'success';
+      } catch (error) {
+        console.error(`Job ${name} failed:`, error);
+        run.status = 'failed';
+        run.error = error.message;
+      }
+      run.end_at = new Date().toISOString();
+
+      await jobCollection.updateOne(
+        { _id: name },
+        {
+          $set: {
+            status: 'idle',
+            last_run: run,
+            next_run_at: new Date(
+              now.getTime() + jobs[name].every
+            ).toISOString(),
+          },
+          $inc: { runs: 1 },
+          $push: { history: { $each: [run], $slice: -20 } },
+        }
+      );
+      return run;
+    };
+
+    // register jobs (keep schedule across restarts) and tick every minute
+    Promise.all(
+      Object.entries(jobs).map(([name, job]) =>
+        jobCollection.updateOne(
+          { _id: name },
+          {
+            $set: { every: job.every },
+            $setOnInsert: {
+              status: 'idle',
+              runs: 0,
+              next_run_at: new Date().toISOString(),
+            },
+          },
+          { upsert: true }
+        )
+      )
+    )
+      .then(() => {
+        setInterval(() => {
+          Object.keys(jobs).forEach((name) => runJob(name).catch(console.dir));
+        }, 60 * 1000).unref();
+      })
+      .catch(console.dir);
+
+    // admin: job status
+    app.get(
+      '/jobs',
+      verifyFirebaseToken,
+      verifyPermission('system:manage'),
+      async (req, res) => {
+        const result = await jobCollection.find().sort({ _id: 1 }).toArray();
+        res.send(result);
+      }
+    );
+
+    // admin: run a job now
+    app.post(
+      '/jobs/:name/run',
+      verifyFirebaseToken,
+      verifyPermission('system:manage'),
+      async (req, res) => {
+        const { name } = req.params;
+        if (!jobs[name]) {
+          return res.status(404).send({ message: 'Job not found' });
+        }
+
+        const run = await runJob(name, true);
+        if (!run) {
+          return res.status(409).send({ message: 'Job is already running' });
+        }
+        res.send(run);
+      }
+    );
+
+    // done: user management ---> #17
+    // audit entries are only ever inserted, no route updates or deletes them
+    // (not even account deletion)
+    const writeAuditLog = (req, res, permission) => {
+      auditCollection
+        .insertOne({
+          actor: req.decoded.email,
+          permission,
+          method: req.method,
+          route: req.route?.path || null,
+          path: req.originalUrl,
+          params: req.params,
+          body: req.body || null,
+          statusCode: res.statusCode,
+          success: res.statusCode < 400,
+          ip: req.ip,
+          create_at: new Date().toISOString(),
+        })
+        .catch(console.dir);
+    };
+
+    // active | suspended | banned, mirrored to the firebase user
+    // (disabled flag + accountStatus claim), throws when firebase fails so
+    // the status is never saved without being enforced
+    const setAccountStatus = async (user, accountStatus, reason, by, until) => {
+      const now = new Date().toISOString();
+      const change = {
+        from: user.accountStatus || 'active',
+        to: accountStatus,
+        reason: reason || null,
+        until: until || null,
+        by,
+        at: now,
+      };
+
+      const firebaseUser = await admin.auth().getUserByEmail(user.email);
+      await admin.auth().setCustomUserClaims(firebaseUser.uid, {
+        ...firebaseUser.customClaims,
+        accountStatus,
+      });
+      await admin.auth().updateUser(firebaseUser.uid, {
+        disabled: accountStatus !== 'active',
+      });
+      if (accountStatus !== 'active') {
+        await admin.auth().revokeRefreshTokens(firebaseUser.uid);
+      }
+
+      await usersCollection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            accountStatus,
+            suspended_until: until || null,
+            account_reason: reason || null,
+          },
+          $push: { accountHistory: change },
+        }
+      );
+
+      await enqueueEmail('accountStatus', user.email, {
+        status: accountStatus,
+        reason,
+        until,
+      });
+      return change;
+    };
+
+    // admin: paginated users (?page=&limit=&role=&status=&from=&to=&email=)
+    app.get(
+      '/users',
+      verifyFirebaseToken,
+      verifyPermission('user:manage'),
+      async (req, res) => {
+        const pageNo = parseInt(req.query.page) || 0;
+        const limit = parseInt(req.query.limit) || 10;
+        const { role, status, from, to, email } = req.query;
+
+        const query = {};
+        if (role) query.$or = [{ roles: role }, { role }];
+        if (status === 'active') {
+          query.accountStatus = { $in: [null, 'active'] };
+        } else if (status) {
+          query.accountStatus = status;
+        }
+        if (from || to) {
+          query.create_at = {};
+          if (from) query.create_at.$gte = new Date(from).toISOString();
+          if (to) query.create_at.$lte = new Date(to).toISOString();
+        }
+        if (email) {
+          const escaped = email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          query.email = { $regex: escaped, $options: 'i' };
+        }
+
+        try {
+          const total = await usersCollection.countDocuments(query);
+          const data = await usersCollection
+            .find(query)
+            .sort({ create_at: -1 })
+            .skip(pageNo * limit)
+            .limit(limit)
+            .toArray();
+
+          res.send({
+            total,
+            pageNo,
+            totalPages: Math.ceil(total / limit),
+            data,
+          });
+        } catch (error) {
+          res.status(500).send({ message: 'Server Error', error });
+        }
+      }
+    );
+
+    // admin: one user with everything linked to them
+    app.get(
+      '/users/:id/details',
+      verifyFirebaseToken,
+      verifyPermission('user:manage'),
+      async (req, res) => {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid user id' });
+        }
+
+        try {
+          const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+          if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+          }
+
+          const email = user.email;
+          const [enrollments, classesTaught, reviewsWritten, reviewsReceived] =
+            await Promise.all([
+              enrollCollection
+                .find({ studentEmail: email })
+                .sort({ create_at: -1 })
+                .toArray(),
+              classCollection.find({ email }).toArray(),
+              reportCollection.find({ studentEmail: email }).toArray(),
+              reportCollection.find({ teacherMail: email }).toArray(),
+            ]);
+
+          res.send({
+            user: { ...user, roles: getUserRoles(user) },
+            enrollments,
+            classesTaught,
+            terReports: { written: reviewsWritten, received: reviewsReceived },
+          });
+        } catch (error) {
+          console.error('Error fetching user details:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // admin: suspend (for N days) / ban / reactivate
+    app.patch(
+      '/users/:id/account-status',
+      verifyFirebaseToken,
+      verifyPermission('user:manage'),
+      validateBody(schemas.accountStatus),
+      async (req, res) => {
+        const { id } = req.params;
+        const { action, days } = req.body;
+        const reason = req.body.reason?.trim();
+        const statusByAction = {
+          suspend: 'suspended',
+          ban: 'banned',
+          reactivate: 'active',
+        };
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid user id' });
+        }
+        if (!statusByAction[action]) {
+          return res
+            .status(400)
+            .send({ message: 'Action must be suspend, ban or reactivate' });
+        }
+        if (action !== 'reactivate' && !reason) {
+          return res.status(400).send({ message: 'Reason is required' });
+        }
+        if (action === 'suspend' && !(Number(days) > 0)) {
+          return res
+            .status(400)
+            .send({ message: 'Suspension days are required' });
+        }
+
+        try {
+          const user = await usersCollection.findOne({ _id: new ObjectId(id) });
+          if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+          }
+          if (user.email === req.decoded.email) {
+            return res
+              .status(400)
+              .send({ message: 'You can not change your own account' });
+          }
+
+          const until =
+            action === 'suspend'
+              ? new Date(Date.now() + Number(days) * day).toISOString()
+              : null;
+          const change = await setAccountStatus(
+            user,
+            statusByAction[action],
+            reason,
+            req.decoded.email,
+            until
+          );
+          res.send({ message: 'Account updated', ...change });
+        } catch (error) {
+          console.error(error);
+          res
+            .status(500)
+            .send({ message: 'Failed to update', error: error.message });
+        }
+      }
+    );
+
+    // admin: audit log (?actor=&route=&page=&limit=)
+    app.get(
+      '/audit-log',
+      verifyFirebaseToken,
+      verifyPermission('user:manage'),
+      async (req, res) => {
+        const pageNo = parseInt(req.query.page) || 0;
+        const limit = parseInt(req.query.limit) || 20;
+        const query = {};
+        if (req.query.actor) query.actor = req.query.actor;
+        if (req.query.route) query.route = req.query.route;
+
+        const total = await auditCollection.countDocuments(query);
+        const data = await auditCollection
+          .find(query)
+          .sort({ create_at: -1 })
+          .skip(pageNo * limit)
+          .limit(limit)
+          .toArray();
+        res.send({ total, pageNo, totalPages: Math.ceil(total / limit), data });
+      }
+    );
+
+    // done: profile & account ---> #18
+    // own profile
+    app.get('/me', verifyFirebaseToken, async (req, res) => {
+      const user = await usersCollection.findOne({ email: req.decoded.email });
+      if (!user) {
+        return res.status(404).send({ message: 'User not found' });
+      }
+      const roles = getUserRoles(user);
+      res.send({ ...user, roles, permissions: getPermissions(roles) });
+    });
+
+    // update own name / photo / bio (+ social links for teachers)
+    app.patch(
+      '/me',
+      verifyFirebaseToken,
+      validateBody(schemas.updateProfile),
+      async (req, res) => {
+        const email = req.decoded.email;
+        const roles = await loadRoles(req);
+        const update = {};
+
+        Object.entries(req.body).forEach(([field, value]) => {
+          if (!socialLinkFields.includes(field)) update[field] = value;
+        });
+        const links = socialLinkFields.filter((field) => req.body[field]);
+        if (links.length && !roles.includes('teacher')) {
+          return res
+            .status(403)
+            .send({ message: 'Only teachers can add social links' });
+        }
+        links.forEach((field) => {
+          update[`socialLinks.${field}`] = req.body[field];
+        });
+        if (Object.keys(update).length === 0) {
+          return res.status(400).send({ message: 'Nothing to update' });
+        }
+        update.update_at = new Date().toISOString();
+
+        try {
+          const result = await usersCollection.updateOne(
+            { email },
+            { $set: update }
+          );
+
+          // keep firebase display name / photo in sync
+          if (req.body.name || req.body.image) {
+            admin
+              .auth()
+              .updateUser(req.decoded.uid, {
+                ...(req.body.name && { displayName: req.body.name }),
+                ...(req.body.image && { photoURL: req.body.image }),
+              })
+              .catch((error) => console.error(error.message));
+          }
+          res.send(result);
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    // public teacher page: profile, approved classes, ratings
+    app.get('/teachers/:email/profile', async (req, res) => {
+      const { email } = req.params;
+      try {
+        const user = await usersCollection.findOne(
+          { email },
+          {
+            projection: {
+              name: 1,
+              email: 1,
+              image: 1,
+              bio: 1,
+              socialLinks: 1,
+              role: 1,
+              roles: 1,
+              accountStatus: 1,
+            },
+          }
+        );
+        if (
+          !user ||
+          !getUserRoles(user).includes('teacher') ||
+          ['suspended', 'banned'].includes(user.accountStatus)
+        ) {
+          return res.status(404).send({ message: 'Teacher not found' });
+        }
+
+        const classes = await classCollection
+          .find({ email, status: 'approved' })
+          .project({ reviewHistory: 0, review: 0 })
+          .toArray();
+        const ratings = await getRatingStats({ teacherMail: email });
+
+        res.send({
+          name: user.name,
+          email: user.email,
+          image: user.image,
+          bio: user.bio || '',
+          socialLinks: user.socialLinks || {},
+          totalClass: classes.length,
+          totalStudent: classes.reduce(
+            (sum, item) => sum + (item.enrolled || 0),
+            0
+          ),
+          ratings,
+          classes,
+        });
+      } catch (error) {
+        console.error('Error fetching teacher profile:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // audit entries about the user (actions done to them), by email or by
+    // the id of their user / teacher request record (e.g. /make-admin/:id)
+    const auditNamingUser = (email, ids) => ({
+      $or: [
+        { 'params.email': email },
+        { 'body.email': email },
+        { 'body.teacherEmail': email },
+        { 'params.id': { $in: ids } },
+      ],
+    });
+
+    // GDPR: everything we store about the caller as one json file
+    app.get('/me/export', verifyFirebaseToken, async (req, res) => {
+      const email = req.decoded.email;
+      try {
+        const [
+          user,
+          teacherRequest,
+          enrollments,
+          payments,
+          submissions,
+          reviews,
+          lessonProgress,
+          notifications,
+          wishlist,
+          cart,
+          checkouts,
+          waitlist,
+          discussionThreads,
+          discussionReplies,
+          couponRedemptions,
+          emails,
+        ] = await Promise.all([
+          usersCollection.findOne({ email }),
+          teacherRequestCollection.findOne({ email }),
+          enrollCollection.find({ studentEmail: email }).toArray(),
+          paymentCollection.find({ studentEmail: email }).toArray(),
+          submissionCollection.find({ studentEmail: email }).toArray(),
+          reportCollection.find({ studentEmail: email }).toArray(),
+          lessonProgressCollection.find({ studentEmail: email }).toArray(),
+          notificationCollection.find({ email }).toArray(),
+          wishlistCollection.find({ studentEmail: email }).toArray(),
+          cartCollection.find({ studentEmail: email }).toArray(),
+          checkoutCollection.find({ studentEmail: email }).toArray(),
+          waitlistCollection.find({ studentEmail: email }).toArray(),
+          threadCollection.find({ authorEmail: email }).toArray(),
+          replyCollection.find({ authorEmail: email }).toArray(),
+          couponRedemptionCollection.find({ studentEmail: email }).toArray(),
+          emailQueueCollection.find({ to: email }).toArray(),
+        ]);
+        const classesTaught = await classCollection.find({ email }).toArray();
+        const recordIds = [user?._id, teacherRequest?._id]
+          .filter(Boolean)
+          .map((id) => id.toString());
+        const auditLog = await auditCollection
+          .find({ $or: [{ actor: email }, auditNamingUser(email, recordIds)] })
+          .toArray();
+
+        res.attachment('learnnest-account-export.json');
+        res.send({
+          export_at: new Date().toISOString(),
+          user,
+          teacherRequest,
+          classesTaught,
+          enrollments,
+          payments,
+          submissions,
+          reviews,
+          lessonProgress,
+          notifications,
+          wishlist,
+          cart,
+          checkouts,
+          waitlist,
+          discussionThreads,
+          discussionReplies,
+          couponRedemptions,
+          emails,
+          auditLog,
+        });
+      } catch (error) {
+        console.error('Export Error:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // GDPR: delete own account, records others rely on are anonymized
+    // body: { confirm: 'DELETE' }
+    app.delete('/me', verifyFirebaseToken, async (req, res) => {
+      const email = req.decoded.email;
+      if (req.body?.confirm !== 'DELETE') {
+        return res
+          .status(400)
+          .send({ message: 'Send { confirm: "DELETE" } to delete account' });
+      }
+
+      try {
+        const ownClasses = await classCollection.countDocuments({ email });
+        if (ownClasses > 0) {
+          return res.status(409).send({
+            message: 'Delete or hand over your classes before deleting account',
+          });
+        }
+
+        const anonymous = `deleted-${crypto
+          .randomBytes(6)
+          .toString('hex')}@deleted.learnnest`;
+        const deletedName = 'Deleted user';
+
+        await Promise.all([
+          // certificates carry the real name, they go with the account
+          enrollCollection.updateMany(
+            { studentEmail: email },
+            {
+              $set: { studentEmail: anonymous, studentName: deletedName },
+              $unset: { certificate: '' },
+            }
+          ),
+          paymentCollection.updateMany(
+            { studentEmail: email },
+            { $set: { studentEmail: anonymous } }
+          ),
+          submissionCollection.updateMany(
+            { studentEmail: email },
+            { $set: { studentEmail: anonymous, studentName: deletedName } }
+          ),
+          reportCollection.updateMany(
+            { studentEmail: email },
+            {
+              $set: { studentEmail: anonymous, name: deletedName, image: null },
+            }
+          ),
+          lessonProgressCollection.updateMany(
+            { studentEmail: email },
+            { $set: { studentEmail: anonymous } }
+          ),
+          notificationCollection.deleteMany({ email }),
+          wishlistCollection.deleteMany({ studentEmail: email }),
+          cartCollection.deleteMany({ studentEmail: email }),
+          // cart payments still read their class list from here
+          checkoutCollection.updateMany(
+            { studentEmail: email },
+            { $set: { studentEmail: anonymous } }
+          ),
+          waitlistCollection.deleteMany({ studentEmail: email }),
+          seatCollection.deleteMany({ studentEmail: email }),
+          // coupon uses keep counting against the coupon limits
+          couponRedemptionCollection.updateMany(
+            { studentEmail: email },
+            { $set: { studentEmail: anonymous } }
+          ),
+          // forum posts stay for the class, without the author
+          threadCollection.updateMany(
+            { authorEmail: email },
+            {
+              $set: {
+                authorEmail: anonymous,
+                authorName: deletedName,
+                authorImage: null,
+              },
+            }
+          ),
+          replyCollection.updateMany(
+            { authorEmail: email },
+            {
+              $set: {
+                authorEmail: anonymous,
+                authorName: deletedName,
+                authorImage: null,
+              },
+            }
+          ),
+          threadCollection.updateMany({ upvotes: email }, [
+            {
+              $set: {
+                upvotes: { $setDifference: ['$upvotes', [email]] },
+                upvoteCount: { $subtract: ['$upvoteCount', 1] },
+              },
+            },
+          ]),
+          replyCollection.updateMany({ upvotes: email }, [
+            {
+              $set: {
+                upvotes: { $setDifference: ['$upvotes', [email]] },
+                upvoteCount: { $subtract: ['$upvoteCount', 1] },
+              },
+            },
+          ]),
+          // mails not sent yet are dropped, sent ones keep no address
+          emailQueueCollection.deleteMany({
+            to: email,
+            status: { $ne: 'sent' },
+          }),
+          emailQueueCollection.updateMany(
+            { to: email, status: 'sent' },
+            { $set: { to: anonymous, data: null } }
+          ),
+          teacherRequestCollection.deleteOne({ email }),
+          usersCollection.deleteOne({ email }),
+        ]);
+
+        // the audit log is left as it is: it is the record of admin
+        // actions (kept for security / legal reasons), not account data
+
+        try {
+          await admin.auth().deleteUser(req.decoded.uid);
+        } catch (error) {
+          console.error('Firebase user delete failed:', error.message);
+        }
+
+        res.send({ message: 'Account deleted' });
+      } catch (error) {
+        console.error('Delete Error:', error);
+        res.status(500).send({ message: 'Internal Server Error', error });
+      }
+    });
+
+    // done: wishlist & cart ---> #19
+    // wishlist / cart rows joined with the current class data
+    const withClassInfo = async (items) => {
+      const classes = await classCollection
+        .find({
+          _id: { $in: items.map((item) => new ObjectId(item.classId)) },
+        })
+        .project({
+          title: 1,
+          image: 1,
+          price: 1,
+          name: 1,
+          email: 1,
+          status: 1,
+          enrolled: 1,
+          currency: 1,
+          localPrices: 1,
+          seatLimit: 1,
+          enrollStart: 1,
+          enrollEnd: 1,
+        })
+        .toArray();
+      return items.map((item) => ({
+        ...item,
+        class: classes.find((c) => c._id.toString() === item.classId) || null,
+      }));
+    };
+
+    // only approved classes can be saved / bought
+    const findApprovedClass = (classId) =>
+      ObjectId.isValid(classId)
+        ? classCollection.findOne({
+            _id: new ObjectId(classId),
+            status: 'approved',
+          })
+        : null;
+
+    // own wishlist
+    app.get('/wishlist', verifyFirebaseToken, async (req, res) => {
+      try {
+        const items = await wishlistCollection
+          .find({ studentEmail: req.decoded.email })
+          .sort({ create_at: -1 })
+          .toArray();
+        res.send(await withClassInfo(items));
+      } catch (error) {
+        console.error('Error fetching wishlist:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // save a class to wishlist
+    app.post('/wishlist', verifyFirebaseToken, async (req, res) => {
+      const { classId } = req.body;
+      const classData = await findApprovedClass(classId);
+      if (!classData) {
+        return res.status(404).send({ message: 'Class not found' });
+      }
+
+      const result = await wishlistCollection.updateOne(
+        { studentEmail: req.decoded.email, classId },
+        {
+          $setOnInsert: {
+            studentEmail: req.decoded.email,
+            classId,
+            create_at: new Date().toISOString(),
+          },
+        },
+        { upsert: true }
+      );
+      res.status(201).send(result);
+    });
+
+    // remove a class from wishlist
+    app.delete('/wishlist/:classId', verifyFirebaseToken, async (req, res) => {
+      const result = await wishlistCollection.deleteOne({
+        studentEmail: req.decoded.email,
+        classId: req.params.classId,
+      });
+      res.send(result);
+    });
+
+    // own cart with price total of what can still be bought
+    app.get('/cart', verifyFirebaseToken, async (req, res) => {
+      const email = req.decoded.email;
+      try {
+        const items = await withClassInfo(
+          await cartCollection
+            .find({ studentEmail: email })
+            .sort({ create_at: 1 })
+            .toArray()
+        );
+
+        const result = [];
+        for (const item of items) {
+          const owned = !!(await findOwnedEnrollment(item.classId, email));
+          const seats = item.class
+            ? await getSeatStatus(item.class, email)
+            : { open: false };
+          const available =
+            item.class?.status === 'approved' && !owned && seats.open;
+          result.push({ ...item, owned, available, seats });
+        }
+        // total per currency, regional prices can differ
+        const region = getRegion(req);
+        const totals = {};
+        result
+          .filter((item) => item.available)
+          .forEach((item) => {
+            const { price, currency } = getClassPrice(item.class, region);
+            item.price = price;
+            item.currency = currency;
+            totals[currency] = roundMoney(
+              (totals[currency] || 0) + price,
+              currency
+            );
+          });
+
+        res.send({
+          items: result,
+          totals,
+          total: totals[defaultCurrency] || 0,
+        });
+      } catch (error) {
+        console.error('Error fetching cart:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // add a class to cart (not for classes already owned)
+    app.post('/cart', verifyFirebaseToken, async (req, res) => {
+      const { classId } = req.body;
+      const email = req.decoded.email;
+
+      const classData = await findApprovedClass(classId);
+      if (!classData) {
+        return res.status(404).send({ message: 'Class not found' });
+      }
+      if (classData.email === email) {
+        return res
+          .status(400)
+          .send({ message: 'You can not buy your own class' });
+      }
+      if (await findOwnedEnrollment(classId, email)) {
+        return res
+          .status(409)
+          .send({ message: 'You are already enrolled in this class' });
+      }
+
+      const result = await cartCollection.updateOne(
+        { studentEmail: email, classId },
+        {
+          $setOnInsert: {
+            studentEmail: email,
+            classId,
+            create_at: new Date().toISOString(),
+          },
+        },
+        { upsert: true }
+      );
+      res.status(201).send(result);
+    });
+
+    // remove a class from cart
+    app.delete('/cart/:classId', verifyFirebaseToken, async (req, res) => {
+      const result = await cartCollection.deleteOne({
+        studentEmail: req.decoded.email,
+        classId: req.params.classId,
+      });
+      res.send(result);
+    });
+
+    // empty cart
+    app.delete('/cart', verifyFirebaseToken, async (req, res) => {
+      const result = await cartCollection.deleteMany({
+        studentEmail: req.decoded.email,
+      });
+      res.send(result);
+    });
+
+    // one PaymentIntent for the whole cart, owned / unavailable classes skipped
+    // the webhook enrolls every class of the checkout
+    // flow: 'checkout-session' -> stripe hosted page instead of the card form
+    app.post('/cart/checkout', verifyFirebaseToken, async (req, res) => {
+      const { couponCode, flow } = req.body;
+      const email = req.decoded.email;
+      const region = getRegion(req);
+      const redemptionIds = [];
+
+      try {
+        const cart = await cartCollection
+          .find({ studentEmail: email })
+          .toArray();
+        if (!cart.length) {
+          return res.status(400).send({ message: 'Cart is empty' });
+        }
+
+        const items = [];
+        const skipped = [];
+        const heldClasses = [];
+        let couponError = null;
+        let couponUses = 0;
+        for (const { classId } of cart) {
+          const classData = await findApprovedClass(classId);
+          if (!classData) {
+            skipped.push({ classId, reason: 'not available' });
+            continue;
+          }
+          if (await findOwnedEnrollment(classId, email)) {
+            skipped.push({ classId, reason: 'already enrolled' });
+            continue;
+          }
+          const seats = await getSeatStatus(classData, email);
+          if (!seats.open) {
+            skipped.push({ classId, reason: seats.reason });
+            continue;
+          }
+
+          const { price, currency } = getClassPrice(classData, region);
+          let amount = price;
+          let coupon = null;
+          // a coupon applies to the cart classes it is valid for, one use
+          // per class until its uses run out (rest are full price)
+          if (couponCode) {
+            const result = await getCouponPrice(couponCode, classData, email, {
+              price,
+              currency,
+            });
+            if (result.error) {
+              couponError = result.error;
+            } else if (couponUses >= result.usesLeft) {
+              couponError = 'Coupon usage limit reached';
+            } else {
+              couponUses += 1;
+              amount = result.finalPrice;
+              coupon = { code: result.coupon.code, discount: result.discount };
+            }
+          }
+          items.push({
+            classData,
+            classId,
+            title: classData.title,
+            teacherEmail: classData.email,
+            image: classData.image,
+            price,
+            currency,
+            amount,
+            coupon,
+          });
+        }
+
+        if (!items.length) {
+          return res
+            .status(400)
+            .send({ message: 'Nothing in cart can be bought', skipped });
+        }
+
+        // one payment is one currency
+        const currency = items[0].currency;
+        if (items.some((item) => item.currency !== currency)) {
+          return res.status(400).send({
+            message:
+              'Classes in the cart are priced in different currencies, check out separately',
+          });
+        }
+
+        // hold the seats, a class filled by a parallel checkout is skipped
+        for (const item of [...items]) {
+          if (await holdSeat(item.classData, email)) {
+            heldClasses.push(item.classData);
+          } else {
+            items.splice(items.indexOf(item), 1);
+            skipped.push({ classId: item.classId, reason: 'Class is full' });
+          }
+          delete item.classData;
+        }
+        if (!items.length) {
+          return res
+            .status(400)
+            .send({ message: 'Nothing in cart can be bought', skipped });
+        }
+
+        // hold one coupon use per discounted class, a class whose use was
+        // taken meanwhile (parallel checkout) is charged full price
+        for (const item of items.filter((item) => item.coupon)) {
+          const redemptionId = await reserveCoupon(
+            item.coupon.code,
+            email,
+            item.classId
+          );
+          if (redemptionId) {
+            item.coupon.redemptionId = redemptionId;
+            redemptionIds.push(redemptionId);
+          } else {
+            item.amount = item.price;
+            item.coupon = null;
+            couponError = 'Coupon usage limit reached';
+          }
+        }
+        if (couponCode && !items.some((item) => item.coupon)) {
+          return res.status(400).send({ message: couponError });
+        }
+        const totalMinor = items.reduce(
+          (sum, item) => sum + toMinorUnit(item.amount, currency),
+          0
+        );
+        const total = fromMinorUnit(totalMinor, currency);
+        // stripe minimum charge (e.g. 50 cents)
+        if (total < currencies[currency].min) {
+          await releaseCoupons(redemptionIds);
+          return res
+            .status(400)
+            .send({ message: 'Price is below the minimum payable amount' });
+        }
+
+        const checkout = await checkoutCollection.insertOne({
+          studentEmail: email,
+          items,
+          total,
+          currency,
+          flow: flow === 'checkout-session' ? flow : 'payment-intent',
+          status: 'pending',
+          create_at: new Date().toISOString(),
+        });
+        // class list lives in the checkout record (metadata size is limited)
+        const metadata = {
+          checkoutId: checkout.insertedId.toString(),
+          studentEmail: email,
+          studentName: req.decoded.name || '',
+        };
+
+        if (flow === 'checkout-session') {
+          const session = await createCheckoutSession(req, {
+            currency,
+            metadata,
+            lineItems: items.map((item) => ({
+              name: item.title,
+              image: item.image,
+              amount: item.amount,
+            })),
+          });
+          await checkoutCollection.updateOne(
+            { _id: checkout.insertedId },
+            { $set: { checkoutSessionId: session.id } }
+          );
+          for (const classData of heldClasses) {
+            await holdSeat(classData, email, checkoutSessionExpiry(session));
+          }
+          return res.send({
+            sessionId: session.id,
+            url: session.url,
+            amount: total,
+            currency,
+            items,
+            skipped,
+          });
+        }
+
+        const paymentIntent = await stripe.paymentIntents.create({
+          amount: totalMinor,
+          currency,
+          automatic_payment_methods: {
+            enabled: true,
+          },
+          metadata,
+        });
+        await checkoutCollection.updateOne(
+          { _id: checkout.insertedId },
+          { $set: { paymentIntentId: paymentIntent.id } }
+        );
+
+        res.send({
+          clientSecret: paymentIntent.client_secret,
+          amount: total,
+          currency,
+          items,
+          skipped,
+        });
+      } catch (error) {
+        console.error('Checkout Error:', error);
+        await releaseCoupons(redemptionIds);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // done: seats & waitlist ---> #20
+    // checkout hold, long enough to finish a card payment
+    const seatHoldTime = 15 * 60 * 1000;
+
+    // enrollment window + seats left for this student
+    // (enrolled + live holds of other students)
+    const getSeatStatus = async (classData, email) => {
+      const now = new Date();
+      if (classData.enrollStart && now < new Date(classData.enrollStart)) {
+        return { open: false, reason: 'Enrollment is not open yet' };
+      }
+      if (classData.enrollEnd && now > new Date(classData.enrollEnd)) {
+        return { open: false, reason: 'Enrollment is closed' };
+      }
+      if (!classData.seatLimit) {
+        return { open: true, seatLimit: null, seatsLeft: null };
+      }
+
+      const held = await countSeatHolds(classData._id.toString(), email);
+      const seatsLeft = Math.max(
+        classData.seatLimit - (classData.enrolled || 0) - held,
+        0
+      );
+      return seatsLeft > 0
+        ? { open: true, seatLimit: classData.seatLimit, seatsLeft }
+        : {
+            open: false,
+            full: true,
+            reason: 'Class is full',
+            seatLimit: classData.seatLimit,
+            seatsLeft,
+          };
+    };
+
+    // live holds of other students on a class
+    const countSeatHolds = (classId, email, session) =>
+      seatCollection.countDocuments(
+        {
+          classId,
+          studentEmail: { $ne: email },
+          expire_at: { $gt: new Date() },
+        },
+        { session }
+      );
+
+    // hold a seat for a student if one is free, a longer hold (waitlist
+    // offer) is kept. every hold bumps seatLock on the class in the same
+    // transaction, so two checkouts racing for the last seat conflict and
+    // the retried one sees the other hold -> false when the class is full
+    const holdSeat = async (classData, email, until) => {
+      if (!classData.seatLimit) return true;
+      const classId = classData._id.toString();
+      let held = false;
+      const session = client.startSession();
+      try {
+        await session.withTransaction(async () => {
+          held = false;
+          const current = await classCollection.findOneAndUpdate(
+            { _id: classData._id },
+            { $inc: { seatLock: 1 } },
+            { session, returnDocument: 'after' }
+          );
+          if (!current) return;
+          const others = await countSeatHolds(classId, email, session);
+          if ((current.enrolled || 0) + others >= current.seatLimit) return;
+
+          await seatCollection.updateOne(
+            { classId, studentEmail: email },
+            {
+              $max: {
+                expire_at: until || new Date(Date.now() + seatHoldTime),
+              },
+              $setOnInsert: {
+                classId,
+                studentEmail: email,
+                create_at: new Date().toISOString(),
+              },
+            },
+            { upsert: true, session }
+          );
+          held = true;
+        });
+      } finally {
+        await session.endSession();
+      }
+      return held;
+    };
+
+    // free seats go to the oldest waiting students, each gets a day to enroll
+    // never throws (called from refunds / jobs)
+    const offerFreeSeats = async (classId) => {
+      let offered = 0;
+      try {
+        const classData = await classCollection.findOne({
+          _id: new ObjectId(classId),
+        });
+        if (!classData?.seatLimit || classData.status !== 'approved') {
+          return offered;
+        }
+
+        const seats = await getSeatStatus(classData, null);
+        for (let i = 0; i < (seats.seatsLeft || 0); i++) {
+          const until = new Date(Date.now() + day);
+          const entry = await waitlistCollection.findOneAndUpdate(
+            { classId, status: 'waiting' },
+            {
+              $set: {
+                status: 'offered',
+                offered_at: new Date().toISOString(),
+                offer_expire_at: until.toISOString(),
+              },
+            },
+            { sort: { create_at: 1 } }
+          );
+          if (!entry) break;
+
+          // seat taken by a checkout meanwhile, the student keeps waiting
+          if (!(await holdSeat(classData, entry.studentEmail, until))) {
+            await waitlistCollection.updateOne(
+              { _id: entry._id },
+              {
+                $set: { status: 'waiting' },
+                $unset: { offered_at: '', offer_expire_at: '' },
+              }
+            );
+            break;
+          }
+          await notify(entry.studentEmail, {
+            type: 'waitlist',
+            title: 'A seat is waiting for you',
+            message: `Enroll in ${classData.title} within 24 hours to keep your seat`,
+            link: `/class-details/${classId}`,
+          });
+          await enqueueEmail('waitlistOffer', entry.studentEmail, {
+            title: classData.title,
+            until: until.toISOString(),
+          });
+          offered += 1;
+        }
+      } catch (error) {
+        console.error('Waitlist offer failed:', error.message);
+      }
+      return offered;
+    };
+
+    // join the waitlist of a full class
+    app.post('/waitlist/:classId', verifyFirebaseToken, async (req, res) => {
+      const { classId } = req.params;
+      const email = req.decoded.email;
+
+      try {
+        const classData = await findApprovedClass(classId);
+        if (!classData) {
+          return res.status(404).send({ message: 'Class not found' });
+        }
+        if (await findOwnedEnrollment(classId, email)) {
+          return res
+            .status(409)
+            .send({ message: 'You are already enrolled in this class' });
+        }
+        const seats = await getSeatStatus(classData, email);
+        if (!seats.full) {
+          return res.status(400).send({
+            message: seats.open
+              ? 'Seats are available, you can enroll now'
+              : seats.reason,
+          });
+        }
+
+        const entry = await waitlistCollection.findOne({
+          classId,
+          studentEmail: email,
+          status: { $in: ['waiting', 'offered'] },
+        });
+        if (entry) {
+          return res
+            .status(409)
+            .send({ message: 'You are already on the waitlist' });
+        }
+
+        // re-joining after leaving / expiring goes to the end of the line
+        const result = await waitlistCollection.updateOne(
+          { classId, studentEmail: email },
+          {
+            $set: {
+              studentName: req.decoded.name || '',
+              status: 'waiting',
+              create_at: new Date().toISOString(),
+            },
+            $unset: { offered_at: '', offer_expire_at: '' },
+          },
+          { upsert: true }
+        );
+        const position = await waitlistCollection.countDocuments({
+          classId,
+          status: 'waiting',
+        });
+        res.status(201).send({ ...result, position });
+      } catch (error) {
+        console.error('Waitlist Error:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // leave the waitlist (or decline an offered seat)
+    app.delete('/waitlist/:classId', verifyFirebaseToken, async (req, res) => {
+      const { classId } = req.params;
+      const email = req.decoded.email;
+
+      const entry = await waitlistCollection.findOneAndUpdate(
+        {
+          classId,
+          studentEmail: email,
+          status: { $in: ['waiting', 'offered'] },
+        },
+        { $set: { status: 'left', update_at: new Date().toISOString() } }
+      );
+      if (!entry) {
+        return res.status(404).send({ message: 'You are not on the waitlist' });
+      }
+
+      if (entry.status === 'offered') {
+        await seatCollection.deleteOne({ classId, studentEmail: email });
+        await offerFreeSeats(classId);
+      }
+      res.send({ message: 'Left the waitlist' });
+    });
+
+    // own waitlist entries with place in line
+    app.get('/my-waitlist', verifyFirebaseToken, async (req, res) => {
+      try {
+        const entries = await waitlistCollection
+          .find({
+            studentEmail: req.decoded.email,
+            status: { $in: ['waiting', 'offered'] },
+          })
+          .sort({ create_at: -1 })
+          .toArray();
+
+        const result = [];
+        for (const entry of await withClassInfo(entries)) {
+          const position =
+            entry.status === 'waiting'
+              ? await waitlistCollection.countDocuments({
+                  classId: entry.classId,
+                  status: 'waiting',
+                  create_at: { $lte: entry.create_at },
+                })
+              : null;
+          result.push({ ...entry, position });
+        }
+        res.status(200).json(result);
+      } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // class owner / admin: waitlist of a class
+    app.get(
+      '/class-waitlist/:classId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      async (req, res) => {
+        const { classId } = req.params;
+        const result = await waitlistCollection
+          .find({ classId, status: { $in: ['waiting', 'offered'] } })
+          .sort({ create_at: 1 })
+          .toArray();
+        res.send({
+          seats: await getSeatStatus(req.classData, null),
+          waitlist: result,
+        });
+      }
+    );
+
+    // done: currency & checkout session ---> #21
+    // stripe hosted checkout page (Checkout Session), its PaymentIntent gets
+    // the same metadata so the webhook enrolls like the card form flow
+    // stripe wants at least 30 min after its own create time, the margin
+    // covers request latency / clock drift
+    const checkoutSessionTime = 35 * 60 * 1000;
+    const clientUrl = process.env.CLIENT_URL || corsOptions.origin[0];
+
+    // only redirect back to our own client
+    const allowedRedirect = (url) => {
+      try {
+        return corsOptions.origin.includes(new URL(url).origin) ? url : null;
+      } catch {
+        return null;
+      }
+    };
+
+    // lineItems: [{ name, image, amount }] amount in major units
+    const createCheckoutSession = (req, { currency, metadata, lineItems }) => {
+      const successUrl =
+        allowedRedirect(req.body.successUrl) || `${clientUrl}/payment-success`;
+      const cancelUrl =
+        allowedRedirect(req.body.cancelUrl) || `${clientUrl}/payment-cancel`;
+
+      return stripe.checkout.sessions.create({
+        mode: 'payment',
+        customer_email: req.decoded.email,
+        line_items: lineItems.map((item) => ({
+          quantity: 1,
+          price_data: {
+            currency,
+            unit_amount: toMinorUnit(item.amount, currency),
+            product_data: {
+              name: item.name,
+              ...(item.image && { images: [item.image] }),
+            },
+          },
+        })),
+        payment_intent_data: { metadata },
+        metadata,
+        success_url: `${successUrl}${successUrl.includes('?') ? '&' : '?'}session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: cancelUrl,
+        expires_at: Math.floor((Date.now() + checkoutSessionTime) / 1000),
+      });
+    };
+
+    // seat is held while the hosted page is open
+    const checkoutSessionExpiry = (session) =>
+      new Date(session.expires_at * 1000);
+
+    // single class through stripe hosted checkout
+    app.post(
+      '/create-checkout-session',
+      verifyFirebaseToken,
+      async (req, res) => {
+        const checkout = await prepareClassCheckout(req);
+        if (checkout.error) {
+          return res.status(checkout.error).send(checkout.body);
+        }
+        const { classData, price, currency, coupon, metadata } = checkout;
+
+        try {
+          const session = await createCheckoutSession(req, {
+            currency,
+            metadata,
+            lineItems: [
+              { name: classData.title, image: classData.image, amount: price },
+            ],
+          });
+          // keep the seat as long as the session can be paid
+          await holdSeat(
+            classData,
+            req.decoded.email,
+            checkoutSessionExpiry(session)
+          );
+
+          res.send({
+            sessionId: session.id,
+            url: session.url,
+            amount: price,
+            currency,
+            coupon,
+          });
+        } catch (error) {
+          await releaseCoupons([metadata.couponRedemptionId]);
+          res.status(500).json({ error: error.message });
+        }
+      }
+    );
+
+    // success page: session state + enrollments created by the webhook
+    app.get('/checkout-session/:id', verifyFirebaseToken, async (req, res) => {
+      const email = req.decoded.email;
+
+      let session;
+      try {
+        session = await stripe.checkout.sessions.retrieve(req.params.id);
+      } catch (error) {
+        console.error('Checkout session retrieve failed:', error.message);
+        return res.status(404).send({ message: 'Checkout session not found' });
+      }
+      if (session.metadata?.studentEmail !== email) {
+        return res.status(403).send({ message: 'Forbidden Access' });
+      }
+
+      const paymentIntentId =
+        typeof session.payment_intent === 'string'
+          ? session.payment_intent
+          : session.payment_intent?.id || null;
+      const enrollments = paymentIntentId
+        ? await enrollCollection
+            .find({ paymentIntentId, studentEmail: email })
+            .toArray()
+        : [];
+
+      res.send({
+        status: session.status,
+        paymentStatus: session.payment_status,
+        paymentIntentId,
+        amount: fromMinorUnit(session.amount_total, session.currency),
+        currency: session.currency,
+        enrolled: enrollments.length > 0,
+        enrollments,
+      });
+    });
+
+    // class owner: regional prices, replaces the whole list
+    // body: { prices: [{ region: 'IN', currency: 'inr', price: 499 }] }
+    app.put(
+      '/class-prices/:classId',
+      verifyFirebaseToken,
+      verifyClassOwner,
+      validateBody(schemas.classPrices),
+      async (req, res) => {
+        const localPrices = req.body.prices.map(
+          ({ region, currency, price }) => ({
+            region,
+            currency,
+            price: roundMoney(price, currency),
+          })
+        );
+
+        try {
+          // same review + version path as /update-class
+          const { result, updatedClass } = await saveClassEdit(req, {
+            localPrices,
+            update_at: new Date().toISOString(),
+          });
+          res.send({ ...result, localPrices, status: updatedClass.status });
+        } catch (error) {
+          console.error(error);
+          res.status(500).send({ message: 'Failed to update' });
+        }
+      }
+    );
+
+    // done: certificates ---> #22
+    const defaultPassMark = 60;
+    const serverUrl = process.env.SERVER_URL || `http://localhost:${port}`;
+
+    // all lessons completed + every assignment graded at passMark % or more
+    const getCertificateStatus = async (classData, email) => {
+      const classId = classData._id.toString();
+      const passMark = classData.passMark ?? defaultPassMark;
+
+      const assignments = await assignmentCollection
+        .find({ classId })
+        .project({ totalMark: 1 })
+        .toArray();
+      const submissions = await submissionCollection
+        .find({ classId, studentEmail: email, status: 'graded' })
+        .toArray();
+      const completion = await getCompletion(classId, email);
+
+      // percent per assignment, null = not graded yet
+      const scores = assignments.map((assignment) => {
+        const submission = submissions.find(
+          (item) => item.assignmentId === assignment._id.toString()
+        );
+        if (!submission) return null;
+        const totalMark = Number(assignment.totalMark) || 100;
+        return Math.round((submission.mark / totalMark) * 100);
+      });
+      const graded = scores.filter((score) => score !== null);
+
+      const missing = [];
+      if (!assignments.length && !completion.totalLesson) {
+        missing.push('Class has nothing to complete yet');
+      }
+      if (completion.completedLesson < completion.totalLesson) {
+        missing.push(
+          `${completion.totalLesson - completion.completedLesson} lesson(s) not completed`
+        );
+      }
+      if (graded.length < scores.length) {
+        missing.push(
+          `${scores.length - graded.length} assignment(s) not graded yet`
+        );
+      }
+      const failed = graded.filter((score) => score < passMark).length;
+      if (failed) {
+        missing.push(
+          `${failed} assignment(s) below the ${passMark}% pass mark`
+        );
+      }
+
+      return {
+        eligible: missing.length === 0,
+        passMark,
+        score: graded.length
+          ? Math.round(graded.reduce((sum, n) => sum + n, 0) / graded.length)
+          : null,
+        missing,
+        ...completion,
+      };
+    };
+
+    // certificate is stored on the enrolled record, pdf is rendered from it
+    const issueCertificate = async (enrollment, classData, score) => {
+      const user = await usersCollection.findOne({
+        email: enrollment.studentEmail,
+      });
+      const certificate = {
+        code: `LN-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        studentName:
+          user?.name || enrollment.studentName || enrollment.studentEmail,
+        classTitle: classData.title,
+        teacherName: classData.name || classData.email,
+        score,
+        issued_at: new Date().toISOString(),
+      };
+
+      const result = await enrollCollection.updateOne(
+        { _id: enrollment._id, certificate: { $exists: false } },
+        { $set: { certificate } }
+      );
+      // issued by a parallel request
+      if (result.modifiedCount === 0) {
+        const current = await enrollCollection.findOne({
+          _id: enrollment._id,
+        });
+        return current?.certificate || null;
+      }
+
+      const pdfUrl = `${serverUrl}/certificates/${certificate.code}/pdf`;
+      await notify(enrollment.studentEmail, {
+        type: 'certificate',
+        title: 'Certificate earned',
+        message: `You completed ${classData.title}`,
+        link: '/dashboard/my-certificates',
+      });
+      await enqueueEmail('certificateIssued', enrollment.studentEmail, {
+        classTitle: classData.title,
+        code: certificate.code,
+        pdfUrl,
+      });
+      return certificate;
+    };
+
+    // issue as soon as the criteria are met (after grading / lesson done)
+    // never throws
+    const tryIssueCertificate = async (classId, email) => {
+      try {
+        const enrollment = await findActiveEnrollment(classId, email);
+        if (!enrollment || enrollment.certificate) return null;
+
+        const classData = await classCollection.findOne({
+          _id: new ObjectId(classId),
+        });
+        if (!classData) return null;
+
+        const status = await getCertificateStatus(classData, email);
+        return status.eligible
+          ? await issueCertificate(enrollment, classData, status.score)
+          : null;
+      } catch (error) {
+        console.error('Certificate issue failed:', error.message);
+        return null;
+      }
+    };
+
+    const findCertificate = (code) =>
+      enrollCollection.findOne({
+        'certificate.code': String(code).toUpperCase(),
+      });
+
+    // student: what is left before the certificate
+    app.get(
+      '/certificate-status/:classId',
+      verifyFirebaseToken,
+      verifyClassAccess,
+      async (req, res) => {
+        const { classId } = req.params;
+        const email = req.decoded.email;
+        if (req.role !== 'student') {
+          return res
+            .status(403)
+            .send({ message: 'Only enrolled students get certificates' });
+        }
+
+        try {
+          const enrollment = await findActiveEnrollment(classId, email);
+          const classData = await classCollection.findOne({
+            _id: new ObjectId(classId),
+          });
+          const status = await getCertificateStatus(classData, email);
+          res.send({ ...status, certificate: enrollment.certificate || null });
+        } catch (error) {
+          console.error('Error fetching certificate status:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // student: claim the certificate (also issued automatically)
+    app.post(
+      '/claim-certificate/:classId',
+      verifyFirebaseToken,
+      verifyClassAccess,
+      async (req, res) => {
+        const { classId } = req.params;
+        const email = req.decoded.email;
+        if (req.role !== 'student') {
+          return res
+            .status(403)
+            .send({ message: 'Only enrolled students get certificates' });
+        }
+
+        try {
+          const enrollment = await findActiveEnrollment(classId, email);
+          if (enrollment.certificate) {
+            return res.send(enrollment.certificate);
+          }
+
+          const classData = await classCollection.findOne({
+            _id: new ObjectId(classId),
+          });
+          const status = await getCertificateStatus(classData, email);
+          if (!status.eligible) {
+            return res
+              .status(400)
+              .send({ message: 'Completion criteria not met', ...status });
+          }
+
+          const certificate = await issueCertificate(
+            enrollment,
+            classData,
+            status.score
+          );
+          res.status(201).send(certificate);
+        } catch (error) {
+          console.error('Certificate Error:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // student: own certificates
+    app.get('/my-certificates', verifyFirebaseToken, async (req, res) => {
+      const result = await enrollCollection
+        .find({
+          studentEmail: req.decoded.email,
+          certificate: { $exists: true },
+        })
+        .project({ classId: 1, title: 1, image: 1, status: 1, certificate: 1 })
+        .sort({ 'certificate.issued_at': -1 })
+        .toArray();
+      res.send(result);
+    });
+
+    // public: employers check a certificate id
+    // a refunded / charged back enrollment makes it invalid
+    app.get('/certificates/:code/verify', async (req, res) => {
+      const enrollment = await findCertificate(req.params.code);
+      if (!enrollment) {
+        return res
+          .status(404)
+          .send({ valid: false, message: 'Certificate not found' });
+      }
+
+      const { certificate } = enrollment;
+      const valid = !['revoked', 'disputed'].includes(enrollment.status);
+      res.send({
+        valid,
+        ...(!valid && { reason: 'Enrollment was revoked' }),
+        code: certificate.code,
+        studentName: certificate.studentName,
+        classTitle: certificate.classTitle,
+        teacherName: certificate.teacherName,
+        score: certificate.score,
+        issued_at: certificate.issued_at,
+      });
+    });
+
+    // public: certificate pdf
+    app.get('/certificates/:code/pdf', async (req, res) => {
+      try {
+        const enrollment = await findCertificate(req.params.code);
+        if (!enrollment) {
+          return res.status(404).send({ message: 'Certificate not found' });
+        }
+        if (['revoked', 'disputed'].includes(enrollment.status)) {
+          return res
+            .status(410)
+            .send({ message: 'Certificate is no longer valid' });
+        }
+
+        const { certificate } = enrollment;
+        const pdf = await renderCertificatePdf(
+          certificate,
+          `${serverUrl}/certificates/${certificate.code}/verify`
+        );
+        res.set('Content-Type', 'application/pdf');
+        res.set(
+          'Content-Disposition',
+          `inline; filename="learnnest-certificate-${certificate.code}.pdf"`
+        );
+        res.send(pdf);
+      } catch (error) {
+        console.error('Certificate pdf Error:', error);
+        res
+          .status(500)
+          .json({ message: 'Internal Server Error', error: error.message });
+      }
+    });
+
+    // done: class discussion ---> #23
+    // forum access: enrolled student, class owner or admin
+    // class from :classId, :threadId or :replyId, sets req.thread / req.reply,
+    // req.classData and req.forumRole (teacher = class owner, admin, student)
+    const verifyDiscussionAccess = async (req, res, next) => {
+      const { threadId, replyId } = req.params;
+
+      if (replyId) {
+        if (!ObjectId.isValid(replyId)) {
+          return res.status(400).send({ message: 'Invalid reply id' });
+        }
+        req.reply = await replyCollection.findOne({
+          _id: new ObjectId(replyId),
+          status: { $ne: 'deleted' },
+        });
+        if (!req.reply) {
+          return res.status(404).send({ message: 'Reply not found' });
+        }
+      }
+
+      const id = threadId || req.reply?.threadId;
+      if (id) {
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: 'Invalid thread id' });
+        }
+        req.thread = await threadCollection.findOne({
+          _id: new ObjectId(id),
+          status: { $ne: 'deleted' },
+        });
+        if (!req.thread) {
+          return res.status(404).send({ message: 'Thread not found' });
+        }
+        req.params.classId = req.thread.classId;
+      }
+
+      await verifyClassAccess(req, res, async () => {
+        req.classData = await classCollection.findOne({
+          _id: new ObjectId(req.params.classId),
+        });
+        const roles = await loadRoles(req);
+        if (req.classData?.email === req.decoded.email) {
+          req.forumRole = 'teacher';
+        } else if (roles.includes('admin')) {
+          req.forumRole = 'admin';
+        } else {
+          req.forumRole = 'student';
+        }
+        req.isModerator = req.forumRole !== 'student';
+
+        // hidden posts only exist for moderators
+        if (
+          !req.isModerator &&
+          (req.thread?.status === 'hidden' || req.reply?.status === 'hidden')
+        ) {
+          return res.status(404).send({ message: 'Post not found' });
+        }
+        next();
+      });
+    };
+
+    // upvote list stays on the server, caller gets upvoted flag
+    const toPublicPost = (post, email) => {
+      const { upvotes = [], ...rest } = post;
+      return { ...rest, upvoted: upvotes.includes(email) };
+    };
+
+    // add / remove the caller's upvote
+    const toggleUpvote = async (collection, post, email) => {
+      const upvoted = (post.upvotes || []).includes(email);
+      await collection.updateOne(
+        upvoted
+          ? { _id: post._id, upvotes: email }
+          : { _id: post._id, upvotes: { $ne: email } },
+        upvoted
+          ? { $pull: { upvotes: email }, $inc: { upvoteCount: -1 } }
+          : { $addToSet: { upvotes: email }, $inc: { upvoteCount: 1 } }
+      );
+      return {
+        upvoted: !upvoted,
+        upvoteCount: (post.upvoteCount || 0) + (upvoted ? -1 : 1),
+      };
+    };
+
+    const postAuthor = (req) => ({
+      authorEmail: req.decoded.email,
+      authorName: req.decoded.name || '',
+      authorImage: req.decoded.picture || null,
+      authorRole: req.forumRole,
+    });
+
+    // threads of a class (?assignmentId=&sort=active|new|top&page=&limit=)
+    // pinned threads first
+    app.get(
+      '/discussions/:classId',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        const { classId } = req.params;
+        const { assignmentId, sort } = req.query;
+        const pageNo = parseInt(req.query.page) || 0;
+        const limit = parseInt(req.query.limit) || 10;
+
+        const query = {
+          classId,
+          status: req.isModerator ? { $ne: 'deleted' } : 'open',
+        };
+        if (assignmentId) query.assignmentId = assignmentId;
+
+        const sortBy = { pinned: -1 };
+        if (sort === 'top') sortBy.upvoteCount = -1;
+        if (sort === 'new') sortBy.create_at = -1;
+        sortBy.last_activity_at = -1;
+
+        try {
+          const total = await threadCollection.countDocuments(query);
+          const threads = await threadCollection
+            .find(query)
+            .sort(sortBy)
+            .skip(pageNo * limit)
+            .limit(limit)
+            .toArray();
+
+          res.send({
+            total,
+            pageNo,
+            totalPages: Math.ceil(total / limit),
+            data: threads.map((thread) =>
+              toPublicPost(thread, req.decoded.email)
+            ),
+          });
+        } catch (error) {
+          console.error('Error fetching discussions:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // start a thread (class wide or about one assignment)
+    app.post(
+      '/discussions/:classId',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      validateBody(schemas.addThread),
+      async (req, res) => {
+        const { classId } = req.params;
+        const { title, body, assignmentId } = req.body;
+
+        try {
+          if (assignmentId) {
+            const assignment = await assignmentCollection.findOne({
+              _id: new ObjectId(assignmentId),
+              classId,
+            });
+            if (!assignment) {
+              return res.status(404).send({ message: 'Assignment not found' });
+            }
+          }
+
+          const now = new Date().toISOString();
+          const thread = {
+            classId,
+            assignmentId: assignmentId || null,
+            title,
+            body,
+            ...postAuthor(req),
+            status: 'open',
+            pinned: false,
+            locked: false,
+            upvotes: [],
+            upvoteCount: 0,
+            replyCount: 0,
+            acceptedReplyId: null,
+            create_at: now,
+            last_activity_at: now,
+          };
+          const result = await threadCollection.insertOne(thread);
+
+          if (req.forumRole === 'student') {
+            await notify(req.classData.email, {
+              type: 'discussion',
+              title: 'New question in your class',
+              message: `${title} (${req.classData.title})`,
+              link: `/dashboard/class-discussion/${classId}/${result.insertedId}`,
+            });
+          }
+          res.status(201).send(result);
+        } catch (error) {
+          console.error('Thread Error:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // one thread with its replies as a tree
+    // accepted answer first, then most upvoted
+    app.get(
+      '/discussion-thread/:threadId',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        const email = req.decoded.email;
+        try {
+          const replies = await replyCollection
+            .find({ threadId: req.thread._id.toString() })
+            .sort({ create_at: 1 })
+            .toArray();
+
+          // removed posts keep their place so answers below them still fit
+          const nodes = new Map();
+          replies.forEach((reply) => {
+            const removed =
+              reply.status === 'deleted' ||
+              (reply.status === 'hidden' && !req.isModerator);
+            nodes.set(reply._id.toString(), {
+              ...(removed
+                ? {
+                    _id: reply._id,
+                    parentId: reply.parentId,
+                    status: reply.status,
+                    body: null,
+                    create_at: reply.create_at,
+                  }
+                : toPublicPost(reply, email)),
+              replies: [],
+            });
+          });
+
+          const roots = [];
+          nodes.forEach((node) => {
+            const parent = node.parentId && nodes.get(node.parentId);
+            (parent ? parent.replies : roots).push(node);
+          });
+          roots.sort(
+            (a, b) =>
+              (b.accepted ? 1 : 0) - (a.accepted ? 1 : 0) ||
+              (b.upvoteCount || 0) - (a.upvoteCount || 0)
+          );
+
+          res.send({
+            ...toPublicPost(req.thread, email),
+            replies: roots,
+            canModerate: req.isModerator,
+          });
+        } catch (error) {
+          console.error('Error fetching thread:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // author edit own thread
+    app.patch(
+      '/discussion-thread/:threadId',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      validateBody(schemas.updateThread),
+      async (req, res) => {
+        if (req.thread.authorEmail !== req.decoded.email) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
+        if (Object.keys(req.body).length === 0) {
+          return res.status(400).send({ message: 'Nothing to update' });
+        }
+
+        const result = await threadCollection.updateOne(
+          { _id: req.thread._id },
+          { $set: { ...req.body, edited_at: new Date().toISOString() } }
+        );
+        res.send(result);
+      }
+    );
+
+    // author or moderator delete a thread
+    app.delete(
+      '/discussion-thread/:threadId',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        if (req.thread.authorEmail !== req.decoded.email && !req.isModerator) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
+
+        const result = await threadCollection.updateOne(
+          { _id: req.thread._id },
+          {
+            $set: {
+              status: 'deleted',
+              deleted_by: req.decoded.email,
+              deleted_at: new Date().toISOString(),
+            },
+          }
+        );
+        res.send(result);
+      }
+    );
+
+    // moderator: pin / unpin a thread
+    app.patch(
+      '/discussion-thread/:threadId/pin',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        if (!req.isModerator) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
+        const result = await threadCollection.updateOne(
+          { _id: req.thread._id },
+          { $set: { pinned: !!req.body.pinned } }
+        );
+        res.send(result);
+      }
+    );
+
+    // moderator: hide / unhide / lock / unlock a thread
+    const threadModeration = {
+      hide: { status: 'hidden' },
+      unhide: { status: 'open' },
+      lock: { locked: true },
+      unlock: { locked: false },
+    };
+    app.patch(
+      '/discussion-thread/:threadId/moderate',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        const { action } = req.body;
+        if (!req.isModerator) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
+        if (!threadModeration[action]) {
+          return res.status(400).send({
+            message: `Action must be one of ${Object.keys(threadModeration).join(', ')}`,
+          });
+        }
+
+        const result = await threadCollection.updateOne(
+          { _id: req.thread._id },
+          {
+            $set: {
+              ...threadModeration[action],
+              moderated_by: req.decoded.email,
+              moderated_at: new Date().toISOString(),
+            },
+          }
+        );
+        res.send(result);
+      }
+    );
+
+    // upvote / remove upvote of a thread
+    app.post(
+      '/discussion-thread/:threadId/upvote',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        if (req.thread.authorEmail === req.decoded.email) {
+          return res
+            .status(400)
+            .send({ message: 'You can not upvote your own post' });
+        }
+        res.send(
+          await toggleUpvote(threadCollection, req.thread, req.decoded.email)
+        );
+      }
+    );
+
+    // reply to a thread, or to a reply with parentId
+    app.post(
+      '/discussion-thread/:threadId/replies',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      validateBody(schemas.addReply),
+      async (req, res) => {
+        const { thread } = req;
+        const { body, parentId } = req.body;
+        const threadId = thread._id.toString();
+
+        if (thread.locked && !req.isModerator) {
+          return res.status(403).send({ message: 'Thread is locked' });
+        }
+
+        try {
+          let parent = null;
+          if (parentId) {
+            parent = await replyCollection.findOne({
+              _id: new ObjectId(parentId),
+              threadId,
+              status: 'visible',
+            });
+            if (!parent) {
+              return res.status(404).send({ message: 'Reply not found' });
+            }
+          }
+
+          const now = new Date().toISOString();
+          const result = await replyCollection.insertOne({
+            threadId,
+            classId: thread.classId,
+            parentId: parentId || null,
+            body,
+            ...postAuthor(req),
+            status: 'visible',
+            accepted: false,
+            upvotes: [],
+            upvoteCount: 0,
+            create_at: now,
+          });
+          await threadCollection.updateOne(
+            { _id: thread._id },
+            { $inc: { replyCount: 1 }, $set: { last_activity_at: now } }
+          );
+
+          const recipients = [thread.authorEmail, parent?.authorEmail].filter(
+            (item) => item && item !== req.decoded.email
+          );
+          await notify([...new Set(recipients)], {
+            type: 'discussion',
+            title: 'New reply',
+            message: `${req.decoded.name || req.decoded.email} replied in "${thread.title}"`,
+            link: `/dashboard/class-discussion/${thread.classId}/${threadId}`,
+          });
+          res.status(201).send(result);
+        } catch (error) {
+          console.error('Reply Error:', error);
+          res
+            .status(500)
+            .json({ message: 'Internal Server Error', error: error.message });
+        }
+      }
+    );
+
+    // author edit own reply
+    app.patch(
+      '/discussion-reply/:replyId',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      validateBody(schemas.updateReply),
+      async (req, res) => {
+        if (req.reply.authorEmail !== req.decoded.email) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
+
+        const result = await replyCollection.updateOne(
+          { _id: req.reply._id },
+          {
+            $set: { body: req.body.body, edited_at: new Date().toISOString() },
+          }
+        );
+        res.send(result);
+      }
+    );
+
+    // author or moderator delete a reply
+    app.delete(
+      '/discussion-reply/:replyId',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        const { reply, thread } = req;
+        if (reply.authorEmail !== req.decoded.email && !req.isModerator) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
+
+        const result = await replyCollection.updateOne(
+          { _id: reply._id },
+          {
+            $set: {
+              status: 'deleted',
+              accepted: false,
+              deleted_by: req.decoded.email,
+              deleted_at: new Date().toISOString(),
+            },
+          }
+        );
+        await threadCollection.updateOne(
+          { _id: thread._id },
+          {
+            $inc: { replyCount: -1 },
+            ...(reply.accepted && { $set: { acceptedReplyId: null } }),
+          }
+        );
+        res.send(result);
+      }
+    );
+
+    // upvote / remove upvote of a reply
+    app.post(
+      '/discussion-reply/:replyId/upvote',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        if (req.reply.authorEmail === req.decoded.email) {
+          return res
+            .status(400)
+            .send({ message: 'You can not upvote your own post' });
+        }
+        res.send(
+          await toggleUpvote(replyCollection, req.reply, req.decoded.email)
+        );
+      }
+    );
+
+    // class owner (or admin) mark / unmark the accepted answer
+    app.patch(
+      '/discussion-reply/:replyId/accept',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        const { reply, thread } = req;
+        const accepted = req.body.accepted !== false;
+        if (!req.isModerator) {
+          return res
+            .status(403)
+            .send({ message: 'Only the teacher can accept an answer' });
+        }
+        if (reply.status !== 'visible') {
+          return res
+            .status(400)
+            .send({ message: 'A hidden reply can not be accepted' });
+        }
+
+        // one accepted answer per thread
+        await replyCollection.updateMany(
+          { threadId: reply.threadId, accepted: true },
+          { $set: { accepted: false } }
+        );
+        if (accepted) {
+          await replyCollection.updateOne(
+            { _id: reply._id },
+            {
+              $set: {
+                accepted: true,
+                accepted_by: req.decoded.email,
+                accepted_at: new Date().toISOString(),
+              },
+            }
+          );
+        }
+        const result = await threadCollection.updateOne(
+          { _id: thread._id },
+          { $set: { acceptedReplyId: accepted ? reply._id.toString() : null } }
+        );
+
+        if (accepted && reply.authorEmail !== req.decoded.email) {
+          await notify(reply.authorEmail, {
+            type: 'discussion',
+            title: 'Your answer was accepted',
+            message: `In "${thread.title}"`,
+            link: `/dashboard/class-discussion/${thread.classId}/${reply.threadId}`,
+          });
+        }
+        res.send({ ...result, accepted });
+      }
+    );
+
+    // moderator: hide / unhide a reply
+    app.patch(
+      '/discussion-reply/:replyId/moderate',
+      verifyFirebaseToken,
+      verifyDiscussionAccess,
+      async (req, res) => {
+        const { action } = req.body;
+        if (!req.isModerator) {
+          return res.status(403).send({ message: 'Forbidden Access' });
+        }
+        if (!['hide', 'unhide'].includes(action)) {
+          return res
+            .status(400)
+            .send({ message: 'Action must be one of hide, unhide' });
+        }
+
+        const result = await replyCollection.updateOne(
+          { _id: req.reply._id },
+          {
+            $set: {
+              status: action === 'hide' ? 'hidden' : 'visible',
+              ...(action === 'hide' && { accepted: false }),
+              moderated_by: req.decoded.email,
+              moderated_at: new Date().toISOString(),
+            },
+          }
+        );
+        if (action === 'hide' && req.reply.accepted) {
+          await threadCollection.updateOne(
+            { _id: req.thread._id },
+            { $set: { acceptedReplyId: null } }
+          );
+        }
+        res.send(result);
+      }
+    );
+
     // Send a ping to confirm a successful connection
     // await client.db('admin').command({ ping: 1 });
     // console.log(